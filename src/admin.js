@@ -0,0 +1,225 @@
+import { HttpError } from "./errors.js";
+
+const LOOPBACK_ADDRESSES = new Set(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+const ADMIN_HEADER = "x-codex-admin";
+
+// Config fields `PATCH /admin/config` may change; each parser returns the new value or throws.
+const RUNTIME_SETTINGS = {
+  defaultCodexModel: parseModelId,
+  turnTimeoutMs: parseTimeoutMs,
+  requestTimeoutMs: parseTimeoutMs,
+  toolResultTimeoutMs: parseTimeoutMs,
+  approvalTimeoutMs: parseTimeoutMs
+};
+
+function isLoopback(req) {
+  return LOOPBACK_ADDRESSES.has(req.socket.remoteAddress);
+}
+
+function optionalReason(payload) {
+  if (payload === null || payload === undefined) {
+    return null;
+  }
+
+  if (typeof payload.reason === "string" && payload.reason.trim()) {
+    return payload.reason.trim();
+  }
+
+  return null;
+}
+
+function parseModelId(value, name) {
+  if (typeof value !== "string" || !value.trim()) {
+    throw new HttpError(400, `${name} must be a non-empty string.`);
+  }
+  return value.trim();
+}
+
+function parseTimeoutMs(value, name) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new HttpError(400, `${name} must be a positive integer (milliseconds).`);
+  }
+  return value;
+}
+
+function runtimeSettings(config) {
+  return Object.fromEntries(Object.keys(RUNTIME_SETTINGS).map((name) => [name, config[name]]));
+}
+
+/**
+ * Admin keys may call from anywhere. Without required API keys, only local
+ * connections are served; once keys are required, only admin keys are.
+ */
+function authorizeAdmin(req, authenticate) {
+  const key = authenticate(req);
+  if (key) {
+    if (!key.admin) {
+      throw new HttpError(403, `API key ${key.id} is not an admin key.`, "permission_error");
+    }
+    return key;
+  }
+
+  if (!isLoopback(req)) {
+    throw new HttpError(403, "The admin API only accepts local connections.", "permission_error");
+  }
+  return null;
+}
+
+/**
+ * A web page can make a browser send simple cross-site requests (forms, `no-cors`
+ * fetches) to a local gateway. It cannot set a JSON content type or a custom
+ * header without a CORS preflight, which the gateway never answers, so
+ * state-changing routes require one of them.
+ */
+function requireScriptedRequest(req, method) {
+  if (method === "GET" || method === "HEAD") {
+    return;
+  }
+
+  const contentType = (req.headers["content-type"] ?? "").split(";")[0].trim().toLowerCase();
+  if (contentType !== "application/json" && req.headers[ADMIN_HEADER] === undefined) {
+    throw new HttpError(
+      403,
+      `${method} /admin/* needs content-type: application/json or an ${ADMIN_HEADER} header.`,
+      "permission_error"
+    );
+  }
+}
+
+/**
+ * Serves `/admin/*` routes. Returns `false` for paths it does not own.
+ *
+ *   GET   /admin/approvals               pending approvals
+ *   POST  /admin/approvals/:id/approve   body: { "reason"?: string }
+ *   POST  /admin/approvals/:id/deny      body: { "reason"?: string }
+ *   GET   /admin/turns                   running turns (with elapsed time) and queued turns
+ *   POST  /admin/drain                   fails every queued turn with overloaded_error
+ *   POST  /admin/restart                 body: { "process"?: string }; restarts app-servers
+ *   GET   /admin/threads                 threads each app-server holds
+ *   POST  /admin/threads/:id/reset       cancels the thread's turn, if any, and forgets the thread
+ *   POST  /admin/threads/:id/drop        same as reset
+ *   GET   /admin/config                  runtime settings
+ *   PATCH /admin/config                  body: any of the runtime settings
+ */
+export async function handleAdminRequest({
+  req,
+  res,
+  method,
+  pathname,
+  approvals,
+  codexClient,
+  config,
+  authenticate,
+  readBody,
+  sendJson,
+  logger = console
+}) {
+  if (!pathname.startsWith("/admin/")) {
+    return false;
+  }
+
+  const key = authorizeAdmin(req, authenticate);
+  requireScriptedRequest(req, method);
+  const actor = key ? `key=${key.label}` : "local";
+
+  if (method === "GET" && pathname === "/admin/approvals") {
+    sendJson(res, 200, { data: approvals.list() });
+    return true;
+  }
+
+  const match = /^\/admin\/approvals\/([^/]+)\/(approve|deny)$/.exec(pathname);
+  if (method === "POST" && match) {
+    const [, id, verb] = match;
+    // The body is optional; an empty or malformed one just means "no reason".
+    const payload = await readBody(req).catch(() => null);
+    const approval = approvals.get(id);
+    const decided = approvals.decide(id, {
+      approved: verb === "approve",
+      reason: optionalReason(payload),
+      decidedBy: key ? `admin:${key.label}` : "admin"
+    });
+    if (!decided) {
+      throw new HttpError(404, `No pending approval ${id}.`, "not_found_error");
+    }
+
+    sendJson(res, 200, { id, approved: verb === "approve", approval });
+    return true;
+  }
+
+  if (method === "GET" && pathname === "/admin/turns") {
+    sendJson(res, 200, codexClient.turns());
+    return true;
+  }
+
+  if (method === "POST" && pathname === "/admin/drain") {
+    const drained = codexClient.drain();
+    logger.warn(`[admin] drained ${drained} queued turns (${actor})`);
+    sendJson(res, 200, { drained });
+    return true;
+  }
+
+  if (method === "POST" && pathname === "/admin/restart") {
+    const payload = await readBody(req).catch(() => null);
+    const processTag = typeof payload?.process === "string" && payload.process.trim() ? payload.process.trim() : null;
+    if (processTag !== null && !codexClient.status().some((server) => server.process === processTag)) {
+      throw new HttpError(404, `No app-server ${processTag}.`, "not_found_error");
+    }
+
+    logger.warn(`[admin] restarting ${processTag ?? "all app-servers"} (${actor})`);
+    const restarted = await codexClient.restart(processTag, `admin request (${actor})`);
+    sendJson(res, 200, { restarted, appServers: codexClient.status() });
+    return true;
+  }
+
+  if (method === "GET" && pathname === "/admin/threads") {
+    const threads = codexClient
+      .status()
+      .flatMap((server) => server.threads.map((thread) => ({ process: server.process, ...thread })));
+    sendJson(res, 200, { data: threads });
+    return true;
+  }
+
+  const threadMatch = /^\/admin\/threads\/([^/]+)\/(reset|drop)$/.exec(pathname);
+  if (method === "POST" && threadMatch) {
+    const [, threadId, verb] = threadMatch;
+    if (!(await codexClient.resetThread(threadId))) {
+      throw new HttpError(404, `No thread ${threadId}.`, "not_found_error");
+    }
+
+    logger.warn(`[admin] ${verb === "reset" ? "reset" : "dropped"} thread=${threadId} (${actor})`);
+    sendJson(res, 200, { threadId, [verb === "reset" ? "reset" : "dropped"]: true });
+    return true;
+  }
+
+  if (method === "GET" && pathname === "/admin/config") {
+    sendJson(res, 200, runtimeSettings(config));
+    return true;
+  }
+
+  if (method === "PATCH" && pathname === "/admin/config") {
+    const payload = await readBody(req);
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      throw new HttpError(400, "Body must be a JSON object of settings.");
+    }
+
+    // Validate everything before changing anything.
+    const changes = Object.entries(payload).map(([name, value]) => {
+      if (!Object.hasOwn(RUNTIME_SETTINGS, name)) {
+        throw new HttpError(400, `${name} cannot be changed at runtime (${Object.keys(RUNTIME_SETTINGS).join(", ")}).`);
+      }
+      return [name, RUNTIME_SETTINGS[name](value, name)];
+    });
+
+    // The gateway and app-server clients share `config` and read these on each use.
+    for (const [name, value] of changes) {
+      logger.warn(`[admin] ${name}=${value} (was ${config[name]}; ${actor})`);
+      config[name] = value;
+    }
+    approvals.timeoutMs = config.approvalTimeoutMs;
+
+    sendJson(res, 200, runtimeSettings(config));
+    return true;
+  }
+
+  throw new HttpError(404, "Not found.", "not_found_error");
+}
@@ -1,5 +1,8 @@
-import { randomUUID } from "node:crypto";
+import { createHash, randomUUID } from "node:crypto";
 import { HttpError } from "./errors.js";
+import { decodeImage } from "./images.js";
+import { defaultModelRoutes, listRoutedModels, resolveModelRoute } from "./model-routes.js";
+import { fingerprintMessages } from "./thread-router.js";
 
 function isRecord(value) {
   return Boolean(value) && typeof value === "object" && !Array.isArray(value);
@@ -12,15 +15,7 @@ function normalizeText(value) {
   return "";
 }
 
-function normalizeModelId(value) {
-  if (typeof value !== "string") {
-    return "";
-  }
-
-  return value.trim().toLowerCase().replace(/[_\s]+/g, "-");
-}
-
-function parseRequestedModel(rawModel) {
+export function parseRequestedModel(rawModel) {
   if (typeof rawModel !== "string") {
     return null;
   }
@@ -29,54 +24,134 @@ function parseRequestedModel(rawModel) {
   return trimmed.length > 0 ? trimmed : null;
 }
 
-function resolveCodexModel(requestedModel, defaultCodexModel) {
-  const normalized = normalizeModelId(requestedModel);
+function contentBlockToText(block) {
+  if (!isRecord(block)) {
+    return "";
+  }
 
-  if (!normalized) {
-    return defaultCodexModel;
+  if (block.type === "text" && typeof block.text === "string") {
+    return block.text;
   }
 
-  if (
-    normalized.includes("gpt-5.3-codex") ||
-    normalized.includes("gpt5.3-codex") ||
-    normalized === "gpt-5.3"
-  ) {
-    return "gpt-5.3-codex";
+  if (block.type === "image") {
+    // Images travel as separate turn inputs; the placeholder keeps their place in the transcript.
+    return "[image]";
   }
 
-  if (normalized.includes("gpt-5.2") || normalized.includes("gpt5.2")) {
-    return "gpt-5.2";
+  if (block.type === "tool_use") {
+    return renderToolUse(block);
   }
 
-  if (normalized.includes("opus")) {
-    return "gpt-5.3-codex";
+  if (block.type === "tool_result") {
+    return renderToolResult(block.tool_use_id, block.is_error === true, extractTextContent(block.content));
   }
 
-  if (normalized.includes("sonnet") || normalized.includes("haiku")) {
-    return "gpt-5.2";
+  return "";
+}
+
+// Transcript rendering of tool calls, shared with the OpenAI adapter so both
+// fingerprint conversations the same way.
+export function renderToolUse({ id, name, input }) {
+  return `[tool_use id=${id ?? "unknown"} name=${name ?? "unknown"}] ${JSON.stringify(input ?? {})}`;
+}
+
+export function renderToolResult(toolUseId, isError, body) {
+  const status = isError ? " error" : "";
+  return `[tool_result tool_use_id=${toolUseId ?? "unknown"}${status}]${body ? `\n${body}` : ""}`;
+}
+
+function extractToolResults(content) {
+  if (!Array.isArray(content)) {
+    return [];
   }
 
-  if (normalized === "codex" || normalized === "codex-backend") {
-    return defaultCodexModel;
+  return content
+    .filter((block) => isRecord(block) && block.type === "tool_result" && typeof block.tool_use_id === "string")
+    .map((block) => ({
+      toolUseId: block.tool_use_id,
+      isError: block.is_error === true,
+      content: toolResultContentItems(block.content)
+    }));
+}
+
+function extractImages(content, messageIndex) {
+  if (!Array.isArray(content)) {
+    return [];
   }
 
-  return defaultCodexModel;
+  const images = [];
+  content.forEach((block, blockIndex) => {
+    if (!isRecord(block) || block.type !== "image") {
+      return;
+    }
+
+    const label = `messages[${messageIndex}].content[${blockIndex}]`;
+    if (block.source?.type === "base64") {
+      images.push(decodeImage(block.source.media_type, block.source.data, label));
+    } else if (block.source?.type === "url" && typeof block.source.url === "string") {
+      images.push({ url: block.source.url });
+    } else {
+      throw new HttpError(400, `${label}: image source must be base64 or url.`);
+    }
+  });
+  return images;
 }
 
-function contentBlockToText(block) {
-  if (!isRecord(block)) {
-    return "";
+// Codex dynamic tool responses carry `inputText` / `inputImage` content items.
+function toolResultContentItems(content) {
+  if (typeof content === "string") {
+    return content ? [{ type: "inputText", text: content }] : [];
   }
 
-  if (block.type === "text" && typeof block.text === "string") {
-    return block.text;
+  if (!Array.isArray(content)) {
+    return [];
   }
 
-  if (block.type === "tool_result") {
-    return extractTextContent(block.content);
+  const items = [];
+  for (const block of content) {
+    if (!isRecord(block)) {
+      continue;
+    }
+
+    if (block.type === "text" && typeof block.text === "string") {
+      items.push({ type: "inputText", text: block.text });
+    } else if (block.type === "image" && block.source?.type === "base64") {
+      items.push({ type: "inputImage", imageUrl: `data:${block.source.media_type};base64,${block.source.data}` });
+    } else if (block.type === "image" && block.source?.type === "url") {
+      items.push({ type: "inputImage", imageUrl: block.source.url });
+    }
   }
+  return items;
+}
 
-  return "";
+function normalizeTools(rawTools) {
+  if (rawTools === undefined || rawTools === null) {
+    return [];
+  }
+
+  if (!Array.isArray(rawTools)) {
+    throw new HttpError(400, "tools must be an array.");
+  }
+
+  const tools = [];
+  rawTools.forEach((tool, index) => {
+    if (!isRecord(tool) || typeof tool.name !== "string" || !tool.name.trim()) {
+      throw new HttpError(400, `tools[${index}].name is required.`);
+    }
+
+    // Anthropic server tools (web_search, text_editor, ...) have no schema Codex can call.
+    if (!isRecord(tool.input_schema)) {
+      return;
+    }
+
+    tools.push({
+      name: tool.name,
+      description: typeof tool.description === "string" ? tool.description : "",
+      inputSchema: tool.input_schema
+    });
+  });
+
+  return tools;
 }
 
 export function extractTextContent(content) {
@@ -100,13 +175,63 @@ function normalizeSystem(system) {
   return extractTextContent(system);
 }
 
-function estimateTokensFromText(text) {
-  if (!text) {
-    return 0;
+function parseThinking(thinking) {
+  if (thinking === undefined || thinking === null || thinking.type === "disabled") {
+    return null;
+  }
+
+  if (!isRecord(thinking) || thinking.type !== "enabled") {
+    throw new HttpError(400, 'thinking.type must be "enabled" or "disabled".');
+  }
+
+  if (!Number.isInteger(thinking.budget_tokens) || thinking.budget_tokens < 1) {
+    throw new HttpError(400, "thinking.budget_tokens must be a positive integer.");
+  }
+
+  return { budgetTokens: thinking.budget_tokens };
+}
+
+export function parseMaxTokens(value, name) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (!Number.isInteger(value) || value < 1) {
+    throw new HttpError(400, `${name} must be a positive integer.`);
+  }
+  return value;
+}
+
+/** Stop sequences as a list; `name` is the request field, for errors. A single string is one sequence. */
+export function parseStopSequences(value, name) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  const sequences = typeof value === "string" ? [value] : value;
+  if (!Array.isArray(sequences) || sequences.some((sequence) => typeof sequence !== "string" || !sequence)) {
+    throw new HttpError(400, `${name} must be an array of non-empty strings.`);
+  }
+  return sequences;
+}
+
+// Thinking budgets map onto Codex reasoning effort levels.
+function effortForBudget(budgetTokens) {
+  if (budgetTokens < 4_096) {
+    return "low";
+  }
+  if (budgetTokens < 16_384) {
+    return "medium";
   }
+  return "high";
+}
 
-  // A lightweight heuristic close enough for client-side planning flows.
-  return Math.max(1, Math.ceil(text.length / 4));
+// A turn stopped at max_tokens or a stop sequence says so; tool calls only come from turns that ran on.
+function stopReason(turnResult) {
+  if ((turnResult.toolCalls ?? []).length > 0) {
+    return "tool_use";
+  }
+  return turnResult.stopReason ?? "end_turn";
 }
 
 function toAnthropicUsage(usage) {
@@ -127,10 +252,8 @@ export function validateAnthropicRequest(payload, options = {}) {
       ? options.defaultCodexModel.trim()
       : "gpt-5.2";
 
-  const stream = payload.stream === true;
-  if (stream && !forceStreamFalse) {
-    throw new HttpError(400, "Streaming not supported. Use stream=false.");
-  }
+  // FORCE_STREAM_FALSE answers streaming requests with a single JSON message.
+  const stream = payload.stream === true && !forceStreamFalse;
 
   if (!Array.isArray(payload.messages) || payload.messages.length === 0) {
     throw new HttpError(400, "messages must be a non-empty array.");
@@ -147,32 +270,68 @@ export function validateAnthropicRequest(payload, options = {}) {
     }
 
     const text = extractTextContent(rawMessage.content);
-    return { role, text };
+    const isUser = role === "user";
+    return {
+      role,
+      text,
+      toolResults: isUser ? extractToolResults(rawMessage.content) : [],
+      images: isUser ? extractImages(rawMessage.content, index) : []
+    };
   });
 
-  const latestUserMessage = [...messages].reverse().find((message) => message.role === "user");
-  if (!latestUserMessage) {
+  // `requireUserMessage: false` (token counting) accepts a transcript without one.
+  const latestUserMessage = [...messages].reverse().find((message) => message.role === "user") ?? null;
+  if (!latestUserMessage && options.requireUserMessage !== false) {
     throw new HttpError(400, "At least one user message is required.");
   }
 
   const requestedModel = parseRequestedModel(payload.model);
-  const codexModel = resolveCodexModel(requestedModel, defaultCodexModel);
+  const route = resolveModelRoute(options.modelRoutes ?? defaultModelRoutes(), requestedModel, defaultCodexModel);
+  const thinking = parseThinking(payload.thinking);
+  const lastMessage = messages[messages.length - 1];
 
   return {
     requestedModel,
-    codexModel,
+    codexModel: route.codexModel,
+    // An explicit thinking budget overrides the route's default effort.
+    effort: thinking ? effortForBudget(thinking.budgetTokens) : route.effort,
+    sandbox: route.sandbox,
+    thinking,
     responseModel: requestedModel ?? "codex-backend",
-    maxTokens: Number.isFinite(payload.max_tokens) ? payload.max_tokens : null,
+    maxTokens: parseMaxTokens(payload.max_tokens, "max_tokens"),
+    stopSequences: parseStopSequences(payload.stop_sequences, "stop_sequences"),
+    userId: typeof payload.metadata?.user_id === "string" && payload.metadata.user_id ? payload.metadata.user_id : null,
     stream,
     system: normalizeSystem(payload.system),
     messages,
-    latestUserMessage
+    latestUserMessage,
+    tools: normalizeTools(payload.tools),
+    // Results for tool_use blocks the gateway returned; these resume the suspended Codex turn.
+    toolResults: lastMessage.role === "user" ? lastMessage.toolResults : []
   };
 }
 
-export function buildTurnInput(validated) {
+/**
+ * Renders the Codex turn input. With `fromIndex`, the thread already holds the
+ * earlier messages and only the new ones are sent.
+ */
+export function buildTurnInput(validated, { fromIndex = 0 } = {}) {
   const lines = [];
 
+  if (fromIndex > 0) {
+    const newMessages = validated.messages.slice(fromIndex);
+    if (newMessages.length === 1) {
+      return newMessages[0].text.trim() || "[empty]";
+    }
+
+    for (const message of newMessages) {
+      lines.push(`${message.role.toUpperCase()}:`);
+      lines.push(message.text || "[empty]");
+      lines.push("");
+    }
+    return lines.join("\n").trim();
+  }
+
   if (validated.system.trim()) {
     lines.push("System instructions:");
     lines.push(validated.system.trim());
@@ -186,27 +345,97 @@ export function buildTurnInput(validated) {
     lines.push("");
   }
 
-  lines.push("Latest user request:");
-  lines.push(validated.latestUserMessage.text || "[empty]");
+  if (validated.latestUserMessage) {
+    lines.push("Latest user request:");
+    lines.push(validated.latestUserMessage.text || "[empty]");
+  }
 
   return lines.join("\n").trim();
 }
 
-export function buildAnthropicSuccessResponse(text, usage, model = "codex-backend") {
+/** Images of the messages `buildTurnInput` sends with the same `fromIndex`, in order. */
+export function collectTurnImages(validated, { fromIndex = 0 } = {}) {
+  return validated.messages.slice(fromIndex).flatMap((message) => message.images ?? []);
+}
+
+function createMessageId() {
+  return `msg_${randomUUID().replace(/-/g, "")}`;
+}
+
+function toToolUseBlock(toolCall) {
   return {
-    id: `msg_${randomUUID().replace(/-/g, "")}`,
+    type: "tool_use",
+    id: toolCall.id,
+    name: toolCall.name,
+    input: isRecord(toolCall.input) ? toolCall.input : {}
+  };
+}
+
+// Codex reasoning cannot be verified by Anthropic, so the signature only has to be opaque and stable.
+function signThinking(thinking) {
+  return createHash("sha256").update(thinking).digest("base64");
+}
+
+function buildAssistantContent(turnResult, { thinking = false } = {}) {
+  const toolCalls = turnResult.toolCalls ?? [];
+  const content = [];
+  if (thinking && turnResult.reasoning) {
+    content.push({ type: "thinking", thinking: turnResult.reasoning, signature: signThinking(turnResult.reasoning) });
+  }
+  if (turnResult.text || toolCalls.length === 0) {
+    content.push({
+      type: "text",
+      text: turnResult.text ?? ""
+    });
+  }
+  content.push(...toolCalls.map(toToolUseBlock));
+  return content;
+}
+
+/**
+ * Describes how a request continues an existing Codex thread: the fingerprint
+ * of the history the thread must already hold, the input to send if it does,
+ * and how to fingerprint the conversation once the assistant has answered.
+ * `renderAssistant(turnResult)` must render the reply exactly as the client's
+ * echo of it will be normalized. Streaming clients echo every agent message
+ * they received, not only the last one a JSON response carries.
+ */
+export function buildConversationRoute(validated, scope, renderAssistant = renderAnthropicAssistant) {
+  const { messages } = validated;
+  let lastAssistantIndex = messages.length - 1;
+  while (lastAssistantIndex >= 0 && messages[lastAssistantIndex].role !== "assistant") {
+    lastAssistantIndex -= 1;
+  }
+
+  return {
+    scope,
+    resumeFingerprint: lastAssistantIndex >= 0 ? fingerprintMessages(messages.slice(0, lastAssistantIndex + 1)) : null,
+    resumeInput: buildTurnInput(validated, { fromIndex: lastAssistantIndex + 1 }),
+    resumeImages: collectTurnImages(validated, { fromIndex: lastAssistantIndex + 1 }),
+    fingerprintAfter: (turnResult) => {
+      const received = validated.stream ? { ...turnResult, text: turnResult.streamedText ?? turnResult.text } : turnResult;
+      return fingerprintMessages([...messages, { role: "assistant", text: renderAssistant(received) }]);
+    }
+  };
+}
+
+function renderAnthropicAssistant(turnResult) {
+  return extractTextContent(buildAssistantContent(turnResult));
+}
+
+/** With `thinking`, Codex reasoning summaries lead the content as a `thinking` block. */
+export function buildAnthropicSuccessResponse(turnResult, model = "codex-backend", { thinking = false } = {}) {
+  const content = buildAssistantContent(turnResult, { thinking });
+
+  return {
+    id: createMessageId(),
     type: "message",
     role: "assistant",
-    content: [
-      {
-        type: "text",
-        text
-      }
-    ],
+    content,
     model,
-    stop_reason: "end_turn",
-    stop_sequence: null,
-    usage: toAnthropicUsage(usage)
+    stop_reason: stopReason(turnResult),
+    stop_sequence: turnResult.stopSequence ?? null,
+    usage: toAnthropicUsage(turnResult.usage)
   };
 }
 
@@ -220,77 +449,191 @@ export function buildAnthropicErrorResponse(type, message) {
   };
 }
 
-export function countAnthropicInputTokens(payload) {
-  if (!isRecord(payload)) {
-    return 0;
+/**
+ * Encodes one assistant message as Anthropic SSE events. `writeEvent(event, data)`
+ * receives every event in protocol order; blocks are opened lazily on first delta.
+ */
+export class AnthropicMessageStream {
+  constructor(model, writeEvent) {
+    this.id = createMessageId();
+    this.model = model;
+    this.writeEvent = writeEvent;
+    this.blockIndex = -1;
+    this.openBlockType = null;
+    this.thinkingText = "";
+    this.finished = false;
   }
 
-  let total = 0;
-  total += estimateTokensFromText(normalizeSystem(payload.system));
+  /** `contextManagement` is the gateway's compaction report, when the transcript was compacted. */
+  start(inputTokens = 0, contextManagement = null) {
+    this.writeEvent("message_start", {
+      type: "message_start",
+      message: {
+        id: this.id,
+        type: "message",
+        role: "assistant",
+        content: [],
+        model: this.model,
+        stop_reason: null,
+        stop_sequence: null,
+        usage: {
+          input_tokens: inputTokens,
+          output_tokens: 0
+        },
+        ...(contextManagement ? { context_management: contextManagement } : {})
+      }
+    });
+  }
 
-  const messages = Array.isArray(payload.messages) ? payload.messages : [];
-  for (const message of messages) {
-    if (!isRecord(message)) {
-      continue;
+  ping() {
+    if (!this.finished) {
+      this.writeEvent("ping", { type: "ping" });
     }
+  }
 
-    total += estimateTokensFromText(extractTextContent(message.content));
+  thinkingDelta(thinking) {
+    if (this.finished || !thinking) {
+      return;
+    }
+
+    if (this.openBlockType !== "thinking") {
+      this.#openBlock({ type: "thinking", thinking: "" });
+    }
+
+    this.thinkingText += thinking;
+    this.writeEvent("content_block_delta", {
+      type: "content_block_delta",
+      index: this.blockIndex,
+      delta: {
+        type: "thinking_delta",
+        thinking
+      }
+    });
+  }
+
+  textDelta(text) {
+    if (this.finished || !text) {
+      return;
+    }
+
+    if (this.openBlockType !== "text") {
+      this.#openBlock({ type: "text", text: "" });
+    }
+
+    this.writeEvent("content_block_delta", {
+      type: "content_block_delta",
+      index: this.blockIndex,
+      delta: {
+        type: "text_delta",
+        text
+      }
+    });
+  }
+
+  toolUse(toolCall) {
+    if (this.finished) {
+      return;
+    }
+
+    const block = toToolUseBlock(toolCall);
+    this.#openBlock({ ...block, input: {} });
+    this.writeEvent("content_block_delta", {
+      type: "content_block_delta",
+      index: this.blockIndex,
+      delta: {
+        type: "input_json_delta",
+        partial_json: JSON.stringify(block.input)
+      }
+    });
+    this.#closeBlock();
+  }
+
+  finish(turnResult) {
+    if (this.finished) {
+      return;
+    }
+
+    const toolCalls = turnResult.toolCalls ?? [];
+    for (const toolCall of toolCalls) {
+      this.toolUse(toolCall);
+    }
+
+    if (this.blockIndex < 0) {
+      this.#openBlock({ type: "text", text: "" });
+    }
+    this.#closeBlock();
+    this.finished = true;
+
+    this.writeEvent("message_delta", {
+      type: "message_delta",
+      delta: {
+        stop_reason: stopReason(turnResult),
+        stop_sequence: turnResult.stopSequence ?? null
+      },
+      usage: toAnthropicUsage(turnResult.usage)
+    });
+    this.writeEvent("message_stop", { type: "message_stop" });
+  }
+
+  fail(type, message) {
+    if (this.finished) {
+      return;
+    }
+
+    this.finished = true;
+    this.writeEvent("error", buildAnthropicErrorResponse(type, message));
+  }
+
+  #openBlock(contentBlock) {
+    this.#closeBlock();
+    this.blockIndex += 1;
+    this.openBlockType = contentBlock.type;
+    this.writeEvent("content_block_start", {
+      type: "content_block_start",
+      index: this.blockIndex,
+      content_block: contentBlock
+    });
   }
 
-  return total;
+  #closeBlock() {
+    if (this.openBlockType === null) {
+      return;
+    }
+
+    if (this.openBlockType === "thinking") {
+      this.writeEvent("content_block_delta", {
+        type: "content_block_delta",
+        index: this.blockIndex,
+        delta: {
+          type: "signature_delta",
+          signature: signThinking(this.thinkingText)
+        }
+      });
+      this.thinkingText = "";
+    }
+
+    this.writeEvent("content_block_stop", {
+      type: "content_block_stop",
+      index: this.blockIndex
+    });
+    this.openBlockType = null;
+  }
 }
 
-export function buildAnthropicModelsResponse(defaultCodexModel = "gpt-5.2") {
+/** Lists the routing table's advertised model ids. */
+export function buildAnthropicModelsResponse(modelRoutes, defaultCodexModel = "gpt-5.2") {
   const createdAt = "2026-01-01T00:00:00Z";
-  const models = [
-    {
-      type: "model",
-      id: "claude-3-opus",
-      display_name: "claude-3-opus -> gpt-5.3-codex",
-      created_at: createdAt
-    },
-    {
-      type: "model",
-      id: "claude-3-7-sonnet-latest",
-      display_name: "claude-3-7-sonnet-latest -> gpt-5.2",
-      created_at: createdAt
-    },
-    {
-      type: "model",
-      id: "claude-3-5-haiku-latest",
-      display_name: "claude-3-5-haiku-latest -> gpt-5.2",
-      created_at: createdAt
-    },
-    {
-      type: "model",
-      id: "gpt-5.3-codex",
-      display_name: "gpt-5.3-codex",
-      created_at: createdAt
-    },
-    {
-      type: "model",
-      id: "gpt-5.2",
-      display_name: "gpt-5.2",
-      created_at: createdAt
-    },
-    {
-      type: "model",
-      id: "codex",
-      display_name: `codex -> ${defaultCodexModel}`,
-      created_at: createdAt
-    },
-    {
-      type: "model",
-      id: "codex-backend",
-      display_name: `codex-backend -> ${defaultCodexModel}`,
-      created_at: createdAt
-    }
-  ];
+  const models = listRoutedModels(modelRoutes ?? defaultModelRoutes(), defaultCodexModel).map((route) => ({
+    type: "model",
+    id: route.id,
+    display_name: route.id === route.codexModel ? route.id : `${route.id} -> ${route.codexModel}`,
+    created_at: createdAt
+  }));
 
   return {
     data: models,
-    first_id: models[0].id,
+    first_id: models[0]?.id ?? null,
     has_more: false,
-    last_id: models[models.length - 1].id
+    last_id: models[models.length - 1]?.id ?? null
   };
 }
@@ -0,0 +1,186 @@
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { HttpError } from "./errors.js";
+
+const KEY_PREFIX = "cgw_";
+// Sandbox modes from most to least restrictive; a key's ceiling caps the mode a request gets.
+const SANDBOX_RANK = { "read-only": 0, seatbelt: 1, "workspace-write": 1, "danger-full-access": 2 };
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+}
+
+function globToRegExp(pattern) {
+  return new RegExp(`^${[...pattern].map((char) => (char === "*" ? ".*" : escapeRegExp(char))).join("")}$`, "i");
+}
+
+/** Lowers `sandbox` to `ceiling` when it is more permissive. */
+export function applySandboxCeiling(sandbox, ceiling) {
+  if (!ceiling || SANDBOX_RANK[sandbox] <= SANDBOX_RANK[ceiling]) {
+    return sandbox;
+  }
+  return ceiling;
+}
+
+/** Reads the key from `x-api-key` or `Authorization: Bearer`. */
+export function readApiKey(req) {
+  const header = req.headers["x-api-key"];
+  if (typeof header === "string" && header.trim()) {
+    return header.trim();
+  }
+
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization ?? "");
+  return match ? match[1] : null;
+}
+
+/**
+ * Gateway API keys, stored hashed in a JSON file (mode 0600) under the state dir.
+ *
+ * Each key carries a label, optional allowed model patterns, an optional sandbox
+ * ceiling, an optional expiry and whether it may use the admin API. The file is
+ * re-read when it changes, so keys created or revoked with `codex-gateway keys`
+ * apply to a running gateway.
+ */
+export class ApiKeyStore {
+  constructor({ filePath, now = Date.now }) {
+    this.filePath = filePath;
+    this.now = now;
+    this.keys = [];
+    this.loadedMtimeMs = null;
+  }
+
+  get size() {
+    this.#reload();
+    return this.keys.length;
+  }
+
+  /** Returns `{ key, record }`; the plaintext key is not stored and cannot be shown again. */
+  create({ label, models = null, sandbox = null, expiresAt = null, admin = false }) {
+    if (typeof label !== "string" || !label.trim()) {
+      throw new Error("A key needs a label.");
+    }
+    if (sandbox !== null && !Object.hasOwn(SANDBOX_RANK, sandbox)) {
+      throw new Error(`Invalid sandbox ceiling: ${sandbox}`);
+    }
+
+    this.#reload();
+    const key = `${KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+    const record = {
+      id: `key_${randomBytes(4).toString("hex")}`,
+      label: label.trim(),
+      hint: `${key.slice(0, KEY_PREFIX.length + 4)}…`,
+      hash: hashKey(key),
+      models: models && models.length > 0 ? models : null,
+      sandbox,
+      admin: admin === true,
+      createdAt: new Date(this.now()).toISOString(),
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      revokedAt: null
+    };
+    this.keys.push(record);
+    this.#save();
+    return { key, record: this.#toPublic(record) };
+  }
+
+  list() {
+    this.#reload();
+    return this.keys.map((record) => this.#toPublic(record));
+  }
+
+  revoke(id) {
+    this.#reload();
+    const record = this.keys.find((candidate) => candidate.id === id);
+    if (!record || record.revokedAt) {
+      return false;
+    }
+
+    record.revokedAt = new Date(this.now()).toISOString();
+    this.#save();
+    return true;
+  }
+
+  /**
+   * Resolves the request's key to its public record, or throws
+   * `authentication_error` for a missing, unknown, revoked or expired key.
+   */
+  authenticate(req) {
+    const key = readApiKey(req);
+    if (!key) {
+      throw new HttpError(401, "Missing API key; send x-api-key or Authorization: Bearer.", "authentication_error");
+    }
+
+    this.#reload();
+    const hash = Buffer.from(hashKey(key), "hex");
+    const record = this.keys.find((candidate) => {
+      // A hand-edited or damaged record must not break every other key.
+      const stored = typeof candidate.hash === "string" ? Buffer.from(candidate.hash, "hex") : null;
+      return stored?.length === hash.length && timingSafeEqual(stored, hash);
+    });
+    if (!record) {
+      throw new HttpError(401, "Invalid API key.", "authentication_error");
+    }
+    if (record.revokedAt) {
+      throw new HttpError(401, "This API key has been revoked.", "authentication_error");
+    }
+    if (record.expiresAt && Date.parse(record.expiresAt) <= this.now()) {
+      throw new HttpError(401, "This API key has expired.", "authentication_error");
+    }
+
+    return this.#toPublic(record);
+  }
+
+  #reload() {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+      this.keys = [];
+      this.loadedMtimeMs = null;
+      return;
+    }
+
+    if (mtimeMs === this.loadedMtimeMs) {
+      return;
+    }
+
+    let document;
+    try {
+      document = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      throw new Error(`Cannot read API keys ${this.filePath}: ${error.message}`);
+    }
+    this.keys = Array.isArray(document?.keys) ? document.keys : [];
+    this.loadedMtimeMs = mtimeMs;
+  }
+
+  #save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify({ keys: this.keys }, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+    this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  #toPublic(record) {
+    const { hash: _hash, ...rest } = record;
+    return rest;
+  }
+}
+
+/** Whether a key may use `requestedModel` (or the Codex model it resolved to). */
+export function keyAllowsModel(key, requestedModel, codexModel) {
+  if (!key?.models) {
+    return true;
+  }
+
+  const candidates = [requestedModel, codexModel].filter(Boolean);
+  return key.models.some((pattern) => candidates.some((model) => globToRegExp(pattern).test(model)));
+}
@@ -0,0 +1,406 @@
+import fs from "node:fs";
+import path from "node:path";
+
+const ACTIONS = new Set(["allow", "deny", "ask"]);
+// `sh -c <script>` (any options before `-c`); the script runs as a command line of its own.
+const SHELL_COMMAND = /^(?:\S*\/)?(?:ba|z|da|k)?sh\s+(?:-[A-Za-z]+\s+)*-[A-Za-z]*c[A-Za-z]*\s+([\s\S]+)$/;
+// A shell reading its script from stdin or arguments, or `eval`: what runs is not in the command line.
+const SCRIPT_RUNNER = /^(?:(?:ba|z|da|k)?sh|eval|source|\.)(?:\s|$)/;
+// Redirects, subshells, substitution and backgrounding can do more than the command word says.
+const UNSAFE_SYNTAX = /[<>()`]|(?<!&)&(?!&)/;
+// Words that run the command after them (`sudo rm -rf /` is still `rm -rf /`), each with
+// its options that take the next word as their argument.
+const COMMAND_PREFIXES = new Map([
+  ["sudo", new Set(["-u", "-g", "-C", "-D", "-h", "-p", "-r", "-t", "-T", "-U"])],
+  ["doas", new Set(["-u", "-C"])],
+  ["env", new Set(["-u", "-C"])],
+  ["command", new Set()],
+  ["exec", new Set(["-a"])],
+  ["eval", new Set()],
+  ["nohup", new Set()],
+  ["nice", new Set(["-n"])],
+  ["time", new Set(["-f", "-o"])],
+  ["xargs", new Set(["-a", "-d", "-E", "-I", "-L", "-n", "-P", "-s"])]
+]);
+// Deeper nesting than this is not worth reading: such a command is never allowed.
+const MAX_NESTING = 8;
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Compiles a policy pattern. `/.../flags` is a regular expression; anything else
+ * is a glob. Path globs support `**` (any directories), `*` and `?`; in command
+ * globs `*` matches anything, and a pattern without wildcards also matches the
+ * same command with extra arguments (`git push` matches `git push origin main`).
+ */
+function compilePattern(pattern, { paths }) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]);
+  }
+
+  let source = "";
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    if (char === "*" && pattern[index + 1] === "*" && paths) {
+      source += ".*";
+      index += 1;
+      if (pattern[index + 1] === "/") {
+        source = `${source.slice(0, -2)}(?:.*/)?`;
+        index += 1;
+      }
+    } else if (char === "*") {
+      source += paths ? "[^/]*" : ".*";
+    } else if (char === "?") {
+      source += paths ? "[^/]" : ".";
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  if (!paths && !/[*?]/.test(pattern)) {
+    source += "(?:\\s.*)?";
+  }
+  return new RegExp(`^${source}$`, "s");
+}
+
+function compileRules(section, key, patterns, options) {
+  if (patterns === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(patterns) || patterns.some((pattern) => typeof pattern !== "string" || !pattern.trim())) {
+    throw new Error(`${section}.${key} must be an array of non-empty strings.`);
+  }
+
+  return patterns.map((pattern, index) => {
+    try {
+      return { rule: `${section}.${key}[${index}]`, pattern, regex: compilePattern(pattern.trim(), options) };
+    } catch (error) {
+      throw new Error(`${section}.${key}[${index}] is not a valid pattern: ${error.message}`);
+    }
+  });
+}
+
+function parseAction(section, value) {
+  if (value === undefined) {
+    return "ask";
+  }
+
+  if (!ACTIONS.has(value)) {
+    throw new Error(`${section}.default must be one of allow, deny, ask.`);
+  }
+  return value;
+}
+
+function isRecord(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/** Validates a parsed policy document and compiles its patterns. */
+export function parseApprovalPolicy(document) {
+  if (!isRecord(document)) {
+    throw new Error("The approval policy must be a JSON object.");
+  }
+
+  const commands = document.commands ?? {};
+  const fileChanges = document.fileChanges ?? {};
+  if (!isRecord(commands)) {
+    throw new Error("commands must be an object.");
+  }
+  if (!isRecord(fileChanges)) {
+    throw new Error("fileChanges must be an object.");
+  }
+
+  const maxPatchBytes = fileChanges.maxPatchBytes ?? null;
+  if (maxPatchBytes !== null && (!Number.isInteger(maxPatchBytes) || maxPatchBytes < 0)) {
+    throw new Error("fileChanges.maxPatchBytes must be a non-negative integer.");
+  }
+
+  return {
+    commands: {
+      allow: compileRules("commands", "allow", commands.allow, { paths: false }),
+      deny: compileRules("commands", "deny", commands.deny, { paths: false }),
+      default: parseAction("commands", commands.default)
+    },
+    fileChanges: {
+      allowPaths:
+        fileChanges.allowPaths === undefined
+          ? null
+          : compileRules("fileChanges", "allowPaths", fileChanges.allowPaths, { paths: true }),
+      denyPaths: compileRules("fileChanges", "denyPaths", fileChanges.denyPaths, { paths: true }),
+      maxPatchBytes,
+      default: parseAction("fileChanges", fileChanges.default)
+    }
+  };
+}
+
+export function loadApprovalPolicy(filePath) {
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read approval policy ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return { ...parseApprovalPolicy(document), source: filePath };
+  } catch (error) {
+    throw new Error(`Invalid approval policy ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Splits a command line into the commands it runs, on `&&`, `||`, `;`, `|`, a
+ * lone `&` (which backgrounds the command before it) and newlines. Separators
+ * inside quotes, `$(...)` or backticks do not split.
+ */
+function splitSegments(command) {
+  const segments = [];
+  let current = "";
+  let quote = null;
+  let depth = 0;
+  let backtick = false;
+
+  for (let index = 0; index < command.length; index += 1) {
+    const char = command[index];
+    if (quote) {
+      if (char === "\\" && quote === '"') {
+        current += char + (command[index + 1] ?? "");
+        index += 1;
+        continue;
+      }
+      quote = char === quote ? null : quote;
+      current += char;
+      continue;
+    }
+
+    if (char === "\\") {
+      current += char + (command[index + 1] ?? "");
+      index += 1;
+      continue;
+    }
+    if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "`") {
+      backtick = !backtick;
+    } else if (char === "$" && command[index + 1] === "(") {
+      depth += 1;
+      current += "$(";
+      index += 1;
+      continue;
+    } else if (char === ")" && depth > 0) {
+      depth -= 1;
+    } else if (depth === 0 && !backtick && /[;&|\n]/.test(char)) {
+      // `&&` and `||` are one separator; `>&` and `&>` are redirects, not backgrounding.
+      if ((char === "&" || char === "|") && command[index + 1] === char) {
+        index += 1;
+      } else if (char === "&" && (command[index - 1] === ">" || command[index + 1] === ">")) {
+        current += char;
+        continue;
+      }
+      segments.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+
+  segments.push(current.trim());
+  return segments.filter(Boolean);
+}
+
+/** The bodies of `$(...)` and backtick substitutions; they run before the command does. */
+function substitutions(command) {
+  const bodies = [];
+  let quote = null;
+
+  for (let index = 0; index < command.length; index += 1) {
+    const char = command[index];
+    if (char === "\\") {
+      index += 1;
+    } else if (quote === "'") {
+      quote = char === "'" ? null : quote;
+    } else if (char === "'" && !quote) {
+      quote = char;
+    } else if (char === '"') {
+      // Substitutions still run inside double quotes.
+      quote = quote === '"' ? null : '"';
+    } else if (char === "`") {
+      const end = command.indexOf("`", index + 1);
+      bodies.push(command.slice(index + 1, end === -1 ? undefined : end));
+      index = end === -1 ? command.length : end;
+    } else if (char === "$" && command[index + 1] === "(") {
+      let depth = 1;
+      let end = index + 2;
+      for (; end < command.length && depth > 0; end += 1) {
+        depth += command[end] === "(" ? 1 : command[end] === ")" ? -1 : 0;
+      }
+      bodies.push(command.slice(index + 2, depth === 0 ? end - 1 : end));
+      index = end - 1;
+    }
+  }
+  return bodies;
+}
+
+function unquote(text) {
+  const match = /^(['"])([\s\S]*)\1$/.exec(text.trim());
+  return match ? match[2] : null;
+}
+
+/**
+ * The command a segment runs, as deny rules see it: wrappers such as `sudo` and
+ * `env`, variable assignments, quotes, a leading backslash or subshell paren and
+ * the directory of the command word are removed (`sudo /usr/bin/curl x` is `curl x`).
+ */
+function commandWord(segment) {
+  const words = segment.trim().replace(/^[({]+\s*/, "").split(/\s+/).filter(Boolean);
+  let index = 0;
+  while (index < words.length) {
+    const word = words[index].replace(/^\\/, "").replace(/^(['"])(.*)\1$/, "$2");
+    const optionsWithArgument = COMMAND_PREFIXES.get(path.posix.basename(word));
+    if (optionsWithArgument) {
+      index += 1;
+      while (words[index]?.startsWith("-")) {
+        if (words[index] === "--") {
+          index += 1;
+          break;
+        }
+        index += optionsWithArgument.has(words[index]) ? 2 : 1;
+      }
+    } else if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(word)) {
+      index += 1;
+    } else {
+      words[index] = path.posix.basename(word);
+      break;
+    }
+  }
+  return words.slice(index).join(" ");
+}
+
+/**
+ * Everything a command line runs, for deny rules: the line itself, each of its
+ * commands with and without wrappers, and, recursively, the scripts of nested
+ * `sh -c`, `eval` and quoted command strings and of `$(...)` and backtick
+ * substitutions. `nested` says whether any such script was found.
+ */
+function expandCommand(command, depth = 0) {
+  const expansion = { texts: [command], segments: splitSegments(command), nested: false, tooDeep: false };
+  if (depth >= MAX_NESTING) {
+    expansion.tooDeep = true;
+    return expansion;
+  }
+
+  const scripts = substitutions(command);
+  for (const segment of expansion.segments) {
+    const word = commandWord(segment);
+    expansion.texts.push(segment, word);
+    const shell = SHELL_COMMAND.exec(word);
+    const script = shell ? (unquote(shell[1]) ?? shell[1]) : unquote(word);
+    if (script !== null) {
+      scripts.push(script);
+    }
+    // `eval` is skipped like a prefix by `commandWord`, so look for it in the segment too.
+    if (SCRIPT_RUNNER.test(word) || /(?:^|\s)eval(?:\s|$)/.test(segment)) {
+      expansion.nested = true;
+    }
+  }
+
+  for (const script of scripts) {
+    const inner = expandCommand(script, depth + 1);
+    expansion.texts.push(...inner.texts);
+    expansion.nested = true;
+    expansion.tooDeep ||= inner.tooDeep;
+  }
+  return expansion;
+}
+
+function findRule(rules, text) {
+  return rules.find((rule) => rule.regex.test(text)) ?? null;
+}
+
+/**
+ * `unsafe` marks commands whose effect the policy cannot read off their command
+ * words (redirects, substitution, nested shells, ...): those are never allowed,
+ * and `AUTO_APPROVE` does not accept them either.
+ */
+function evaluateCommand(policy, command) {
+  if (typeof command !== "string" || !command.trim()) {
+    return { action: policy.default, rule: "commands.default", unsafe: false };
+  }
+
+  const expansion = expandCommand(command.trim());
+  for (const text of expansion.texts) {
+    const denied = findRule(policy.deny, text);
+    if (denied) {
+      return { action: "deny", rule: denied.rule, pattern: denied.pattern, unsafe: false };
+    }
+  }
+
+  // A plain `sh -c '...'` around the whole command is fine once its script is checked.
+  const outer = SHELL_COMMAND.exec(command.trim());
+  const script = outer && expansion.segments.length === 1 ? unquote(outer[1]) : null;
+  const checked = script !== null ? expandCommand(script) : expansion;
+  const unsafe =
+    UNSAFE_SYNTAX.test(script ?? command) || checked.nested || checked.tooDeep || (script === null && outer !== null);
+
+  // Anything past a plain command word could hide behind an allowed prefix.
+  const allowed = checked.segments.map((segment) => findRule(policy.allow, segment));
+  if (!unsafe && checked.segments.length > 0 && allowed.every(Boolean)) {
+    return { action: "allow", rule: allowed[0].rule, pattern: allowed[0].pattern, unsafe };
+  }
+
+  return { action: policy.default, rule: "commands.default", unsafe };
+}
+
+function evaluateFileChanges(policy, changes, workdir) {
+  if (changes.length === 0) {
+    // Nothing to check the paths against (the change was not announced before the request).
+    return { action: policy.default, rule: "fileChanges.default" };
+  }
+
+  let patchBytes = 0;
+  for (const change of changes) {
+    const absolute = path.resolve(workdir, change.path);
+    const relative = path.relative(workdir, absolute);
+    if (relative.startsWith("..") || path.isAbsolute(relative)) {
+      return { action: "deny", rule: "fileChanges.workdir", pattern: change.path };
+    }
+
+    const posixPath = relative.split(path.sep).join("/");
+    const denied = findRule(policy.denyPaths, posixPath);
+    if (denied) {
+      return { action: "deny", rule: denied.rule, pattern: denied.pattern };
+    }
+
+    if (policy.allowPaths && !findRule(policy.allowPaths, posixPath)) {
+      return { action: "deny", rule: "fileChanges.allowPaths", pattern: posixPath };
+    }
+
+    patchBytes += Buffer.byteLength(change.diff ?? "");
+  }
+
+  if (policy.maxPatchBytes !== null && patchBytes > policy.maxPatchBytes) {
+    return { action: "deny", rule: "fileChanges.maxPatchBytes", pattern: `${patchBytes} > ${policy.maxPatchBytes}` };
+  }
+
+  if (policy.allowPaths) {
+    return { action: "allow", rule: "fileChanges.allowPaths" };
+  }
+
+  return { action: policy.default, rule: "fileChanges.default" };
+}
+
+/**
+ * Decides a normalized approval (see `normalizeApprovalRequest`).
+ * Returns `{ action: "allow" | "deny" | "ask", rule, pattern?, unsafe? }`.
+ */
+export function evaluateApprovalPolicy(policy, approval, { workdir }) {
+  if (approval.kind === "command") {
+    return evaluateCommand(policy.commands, approval.command);
+  }
+
+  return evaluateFileChanges(policy.fileChanges, approval.changes ?? [], workdir);
+}
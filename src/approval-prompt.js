@@ -0,0 +1,76 @@
+import process from "node:process";
+import readline from "node:readline";
+
+function formatPrompt(approval) {
+  const lines = [`\n[approvals] Codex requests a ${approval.description}`];
+  if (approval.reason) {
+    lines.push(`  reason: ${approval.reason}`);
+  }
+  for (const change of approval.changes) {
+    lines.push(`  ${change.kind ?? "change"} ${change.path}`);
+  }
+  lines.push("Approve? [y/N, or \"n <reason>\"] ");
+  return lines.join("\n");
+}
+
+/**
+ * Asks about each pending approval on the terminal of the `start` process, one
+ * at a time. Approvals decided elsewhere (admin API, timeout) drop their prompt.
+ * Returns a function that detaches the prompt.
+ */
+export function attachApprovalPrompt(approvals, { input = process.stdin, output = process.stdout } = {}) {
+  const queue = [];
+  let active = null;
+
+  const askNext = () => {
+    if (active || queue.length === 0) {
+      return;
+    }
+
+    const approval = queue.shift();
+    const controller = new AbortController();
+    const rl = readline.createInterface({ input, output });
+    // Keep Ctrl+C working while a prompt owns the terminal.
+    rl.on("SIGINT", () => process.kill(process.pid, "SIGINT"));
+    active = { id: approval.id, controller, rl };
+
+    rl.question(formatPrompt(approval), { signal: controller.signal }, (answer) => {
+      const trimmed = answer.trim();
+      const approved = /^y(es)?$/i.test(trimmed);
+      const reason = approved ? null : trimmed.replace(/^no?\b\s*/i, "") || null;
+      approvals.decide(approval.id, { approved, reason, decidedBy: "tty" });
+    });
+
+    // Every decision, including the one made above, aborts the prompt via onDecision.
+    controller.signal.addEventListener(
+      "abort",
+      () => {
+        rl.close();
+        active = null;
+        askNext();
+      },
+      { once: true }
+    );
+  };
+
+  const offRequest = approvals.onRequest((approval) => {
+    queue.push(approval);
+    askNext();
+  });
+
+  const offDecision = approvals.onDecision((approval) => {
+    const position = queue.findIndex((queued) => queued.id === approval.id);
+    if (position !== -1) {
+      queue.splice(position, 1);
+    }
+    if (active?.id === approval.id && !active.controller.signal.aborted) {
+      active.controller.abort();
+    }
+  });
+
+  return () => {
+    offRequest();
+    offDecision();
+    active?.controller.abort();
+  };
+}
@@ -0,0 +1,200 @@
+import { randomUUID } from "node:crypto";
+
+function createApprovalId() {
+  return `apr_${randomUUID().replace(/-/g, "").slice(0, 16)}`;
+}
+
+export function describeApproval(approval) {
+  if (approval.kind === "command") {
+    return `command ${JSON.stringify(approval.command ?? "")}${approval.cwd ? ` in ${approval.cwd}` : ""}`;
+  }
+
+  const paths = (approval.changes ?? []).map((change) => change.path);
+  return `file change${paths.length > 0 ? ` to ${paths.join(", ")}` : ""}`;
+}
+
+const APPROVAL_METHODS = new Set([
+  "item/commandExecution/requestApproval",
+  "item/fileChange/requestApproval",
+  "execCommandApproval",
+  "applyPatchApproval"
+]);
+
+export function isApprovalMethod(method) {
+  return APPROVAL_METHODS.has(method);
+}
+
+/**
+ * Normalizes the v2 (`item/...`) and legacy approval requests. v2 file change
+ * requests carry no diff, so `item` is the matching `item/started` payload.
+ */
+export function normalizeApprovalRequest(method, params = {}, item = null) {
+  const base = {
+    method,
+    threadId: params.threadId ?? params.conversationId ?? null,
+    turnId: params.turnId ?? null,
+    reason: typeof params.reason === "string" ? params.reason : null
+  };
+
+  switch (method) {
+    case "item/commandExecution/requestApproval":
+      return {
+        ...base,
+        kind: "command",
+        command: params.command ?? item?.command ?? null,
+        cwd: params.cwd ?? item?.cwd ?? null
+      };
+    case "execCommandApproval":
+      return {
+        ...base,
+        kind: "command",
+        command: Array.isArray(params.command) ? params.command.join(" ") : params.command ?? null,
+        cwd: params.cwd ?? null
+      };
+    case "item/fileChange/requestApproval":
+      return {
+        ...base,
+        kind: "fileChange",
+        changes: (item?.changes ?? []).map((change) => ({
+          path: change.path,
+          kind: change.kind?.type ?? change.kind ?? null,
+          diff: change.diff ?? ""
+        }))
+      };
+    case "applyPatchApproval":
+      return {
+        ...base,
+        kind: "fileChange",
+        changes: Object.entries(params.fileChanges ?? {}).map(([filePath, change]) => ({
+          path: filePath,
+          kind: change?.type ?? null,
+          diff: change?.unified_diff ?? change?.content ?? ""
+        }))
+      };
+    default:
+      throw new Error(`Not an approval request: ${method}`);
+  }
+}
+
+export function toCodexDecision(method, approved) {
+  if (method === "execCommandApproval" || method === "applyPatchApproval") {
+    return { decision: approved ? "approved" : "denied" };
+  }
+
+  return { decision: approved ? "accept" : "decline" };
+}
+
+/**
+ * Holds Codex approval requests until someone decides them.
+ *
+ * Decisions come from the admin HTTP endpoint or the TTY prompt; a request
+ * nobody answers within `timeoutMs` is denied.
+ */
+export class ApprovalManager {
+  constructor({ timeoutMs, logger = console, now = Date.now }) {
+    this.timeoutMs = timeoutMs;
+    this.logger = logger;
+    this.now = now;
+    this.pending = new Map();
+    this.requestListeners = new Set();
+    this.decisionListeners = new Set();
+  }
+
+  /**
+   * Resolves with `{ approved, reason, decidedBy }`.
+   * `approval` is `{ kind: "command" | "fileChange", method, threadId, turnId, command, cwd, changes, reason }`.
+   */
+  request(approval) {
+    const id = createApprovalId();
+    const createdAt = this.now();
+
+    return new Promise((resolve) => {
+      const entry = {
+        ...approval,
+        id,
+        description: describeApproval(approval),
+        createdAt,
+        expiresAt: createdAt + this.timeoutMs,
+        resolve,
+        timeoutId: setTimeout(() => {
+          this.decide(id, { approved: false, reason: `No decision within ${this.timeoutMs}ms.`, decidedBy: "timeout" });
+        }, this.timeoutMs)
+      };
+      this.pending.set(id, entry);
+
+      this.logger.warn(`[approvals] ${id} pending: ${entry.description}${approval.reason ? ` (${approval.reason})` : ""}`);
+      for (const listener of this.requestListeners) {
+        listener(this.#toPublic(entry));
+      }
+    });
+  }
+
+  decide(id, { approved, reason = null, decidedBy = "admin" }) {
+    const entry = this.pending.get(id);
+    if (!entry) {
+      return false;
+    }
+
+    clearTimeout(entry.timeoutId);
+    this.pending.delete(id);
+
+    const decision = { approved: approved === true, reason, decidedBy };
+    this.logger.info(
+      `[approvals] ${id} ${decision.approved ? "approved" : "denied"} by ${decidedBy}${reason ? `: ${reason}` : ""}`
+    );
+    entry.resolve(decision);
+    for (const listener of this.decisionListeners) {
+      listener(this.#toPublic(entry), decision);
+    }
+    return true;
+  }
+
+  /** Denies every pending approval of a thread, e.g. when its turn is gone. */
+  denyThread(threadId, reason) {
+    for (const entry of [...this.pending.values()]) {
+      if (entry.threadId === threadId) {
+        this.decide(entry.id, { approved: false, reason, decidedBy: "gateway" });
+      }
+    }
+  }
+
+  get(id) {
+    const entry = this.pending.get(id);
+    return entry ? this.#toPublic(entry) : null;
+  }
+
+  list() {
+    return [...this.pending.values()].map((entry) => this.#toPublic(entry));
+  }
+
+  onRequest(listener) {
+    this.requestListeners.add(listener);
+    return () => {
+      this.requestListeners.delete(listener);
+    };
+  }
+
+  onDecision(listener) {
+    this.decisionListeners.add(listener);
+    return () => {
+      this.decisionListeners.delete(listener);
+    };
+  }
+
+  #toPublic(entry) {
+    return {
+      id: entry.id,
+      kind: entry.kind,
+      method: entry.method,
+      description: entry.description,
+      threadId: entry.threadId ?? null,
+      turnId: entry.turnId ?? null,
+      command: entry.command ?? null,
+      cwd: entry.cwd ?? null,
+      changes: entry.changes ?? [],
+      reason: entry.reason ?? null,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString()
+    };
+  }
+}
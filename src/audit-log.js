@@ -0,0 +1,184 @@
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+
+const FOLLOW_POLL_MS = 500;
+
+/**
+ * Append-only JSONL record of what Codex did on behalf of each request:
+ * turns, command executions, file changes and approval decisions.
+ */
+export class AuditLog {
+  constructor({ filePath, logger = console }) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.stream = null;
+    this.failed = false;
+  }
+
+  record(entry) {
+    if (this.failed) {
+      return;
+    }
+
+    try {
+      if (!this.stream) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.stream = fs.createWriteStream(this.filePath, { flags: "a", mode: 0o600 });
+        this.stream.on("error", (error) => this.#disable(error));
+      }
+
+      this.stream.write(`${JSON.stringify({ ts: new Date().toISOString(), ...entry })}\n`);
+    } catch (error) {
+      this.#disable(error);
+    }
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.stream) {
+        resolve();
+        return;
+      }
+      this.stream.end(resolve);
+      this.stream = null;
+    });
+  }
+
+  #disable(error) {
+    // Auditing must not take the gateway down; report once and stop writing.
+    this.failed = true;
+    this.logger.error(`[audit] cannot write ${this.filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Builds a predicate from CLI filters: `type`, `requestId`, `threadId`,
+ * `turnId`, `since` (Date) and `text` (substring of the raw line).
+ */
+export function createAuditFilter({ type, requestId, threadId, turnId, since, text } = {}) {
+  return (entry, rawLine) =>
+    (!type || entry.type === type) &&
+    (!requestId || entry.requestId === requestId) &&
+    (!threadId || entry.threadId === threadId) &&
+    (!turnId || entry.turnId === turnId) &&
+    (!since || Date.parse(entry.ts) >= since.getTime()) &&
+    (!text || rawLine.includes(text));
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+/** Reads matching entries; with `limit`, only the last `limit` of them. */
+export async function readAuditEntries(filePath, filter, limit = null) {
+  const entries = [];
+  const input = fs.createReadStream(filePath, { encoding: "utf8" });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    const entry = parseLine(line);
+    if (entry && filter(entry, line)) {
+      entries.push(entry);
+      if (limit !== null && entries.length > limit) {
+        entries.shift();
+      }
+    }
+  }
+
+  return entries;
+}
+
+/** Calls `onEntry` for matching entries appended after `fromOffset`, until `signal` aborts. */
+export function followAuditLog(filePath, filter, onEntry, { fromOffset, signal }) {
+  let offset = fromOffset;
+  let partial = "";
+  let reading = false;
+  let inode = null;
+  try {
+    inode = fs.statSync(filePath).ino;
+  } catch {
+    // Not written yet; the first poll that finds it starts reading from `fromOffset`.
+  }
+
+  const readNew = () => {
+    if (reading) {
+      return;
+    }
+
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch {
+      return;
+    }
+
+    // A rotated file may already have grown past the old offset; its inode gives it away.
+    if (stats.size < offset || (inode !== null && stats.ino !== inode)) {
+      // Rotated or truncated: start over from the top.
+      offset = 0;
+      partial = "";
+    }
+    inode = stats.ino;
+    const size = stats.size;
+    if (size === offset) {
+      return;
+    }
+
+    reading = true;
+    let failed = false;
+    const chunks = [];
+    fs.createReadStream(filePath, { start: offset, end: size - 1, encoding: "utf8" })
+      .on("data", (chunk) => chunks.push(chunk))
+      .on("error", () => {
+        // Removed or unreadable mid-read: try again on the next poll.
+        failed = true;
+      })
+      .on("close", () => {
+        reading = false;
+        if (failed) {
+          return;
+        }
+        offset = size;
+        const lines = (partial + chunks.join("")).split("\n");
+        partial = lines.pop();
+        for (const line of lines) {
+          const entry = parseLine(line);
+          if (entry && filter(entry, line)) {
+            onEntry(entry);
+          }
+        }
+      });
+  };
+
+  const timer = setInterval(readNew, FOLLOW_POLL_MS);
+  signal?.addEventListener("abort", () => clearInterval(timer), { once: true });
+}
+
+function describeEntry(entry) {
+  switch (entry.type) {
+    case "turn":
+      return `${entry.event} model=${entry.model ?? "-"}${entry.status ? ` status=${entry.status}` : ""}`;
+    case "command":
+      return `${JSON.stringify(entry.command)} cwd=${entry.cwd ?? "-"} exit=${entry.exitCode ?? "-"} duration_ms=${
+        entry.durationMs ?? "-"
+      } status=${entry.status ?? "-"}`;
+    case "file_change":
+      return (entry.changes ?? []).map((change) => `${change.kind ?? "change"} ${change.path}`).join(", ");
+    case "approval":
+      return `${entry.approved ? "approved" : "denied"} by ${entry.decidedBy} ${entry.description}${
+        entry.reason ? ` (${entry.reason})` : ""
+      }`;
+    default:
+      return JSON.stringify(entry);
+  }
+}
+
+export function formatAuditEntry(entry) {
+  const ids = [entry.requestId ?? "-", entry.threadId ?? "-", entry.turnId ?? "-"].join(" ");
+  return `${entry.ts} ${entry.type.padEnd(11)} ${ids} ${describeEntry(entry)}`;
+}
@@ -1,7 +1,18 @@
+import fs from "node:fs";
+import path from "node:path";
 import process from "node:process";
-import { loadConfig } from "./config.js";
+import { ApiKeyStore } from "./api-keys.js";
+import { attachApprovalPrompt } from "./approval-prompt.js";
+import { ApprovalManager } from "./approvals.js";
+import { AuditLog, createAuditFilter, followAuditLog, formatAuditEntry, readAuditEntries } from "./audit-log.js";
+import { loadConfig, resolveApiKeysFile, resolveStateDir } from "./config.js";
 import { CodexAppServerClient } from "./codex-client.js";
+import { CodexPool } from "./codex-pool.js";
 import { createGatewayServer } from "./gateway-server.js";
+import { createLogger } from "./logger.js";
+import { GatewayMetrics } from "./metrics.js";
+import { listRoutedModels } from "./model-routes.js";
+import { ThreadStore } from "./thread-store.js";
 
 function printHelp() {
   console.log(`
@@ -9,24 +20,100 @@ Codex Gateway (Anthropic Messages compatibility)
 
 Usage:
   codex-gateway start [options]
+  codex-gateway audit [audit options]
+  codex-gateway models [--model-routes <file>] [--default-codex-model <id>] [--json]
+  codex-gateway keys create --label <name> [--models <a,b>] [--sandbox <mode>] [--expires <30d|ISO>] [--admin]
+  codex-gateway keys list [--json]
+  codex-gateway keys revoke <id>
+  codex-gateway threads list [--json]
+  codex-gateway threads resume <thread-id>
+  codex-gateway threads forget <thread-id>... | --all
+  codex-gateway ctl <verb> [ctl options]
   codex-gateway help
 
 Options:
   --port <number>             HTTP port (default: env GATEWAY_PORT or 8080)
   --host <value>              Bind host (default: env GATEWAY_HOST or 127.0.0.1)
   --workdir <path>            Codex workdir (default: env CODEX_WORKDIR or cwd)
+  --workspace <name=path>     Extra workdir requests may pick; repeatable (default: env CODEX_WORKSPACES)
   --codex-path <path>         Codex CLI path (default: env CODEX_PATH or codex)
   --default-codex-model <id>  Fallback Codex model (default: env DEFAULT_CODEX_MODEL or gpt-5.2)
   --turn-timeout-ms <number>  Turn timeout in ms (default: env CODEX_TURN_TIMEOUT_MS or 300000)
   --request-timeout-ms <num>  JSON-RPC timeout in ms (default: env CODEX_REQUEST_TIMEOUT_MS or 30000)
+  --model-routes <file>       JSON model routing table (default: env MODEL_ROUTES_FILE, else built-in)
+  --approval-policy <file>    JSON approval policy (default: env APPROVAL_POLICY_FILE)
+  --approval-tty              Prompt for approvals on this terminal (AUTO_APPROVE=false)
+  --processes <number>        Codex app-server processes (default: env CODEX_PROCESSES or 1)
+  --turns-per-process <num>   Concurrent turns per app-server (default: env CODEX_TURNS_PER_PROCESS or 4)
+  --log-level <level>         debug | info | warn | error (default: env LOG_LEVEL or info)
+  --log-format <format>       text | json (default: env LOG_FORMAT or text)
   --help                      Show this help
 
+Audit options (reads AUDIT_LOG_FILE, default ~/.codex-gateway/audit.jsonl):
+  --file <path>               Audit log to read
+  --type <type>               turn | command | file_change | approval
+  --request <id>              Only entries of this request id
+  --thread <id>               Only entries of this Codex thread
+  --turn <id>                 Only entries of this Codex turn
+  --since <time>              ISO timestamp or age such as 30m, 2h, 1d
+  --grep <text>               Only lines containing text
+  -n, --limit <number>        Show the last N matching entries (default 50)
+  -f, --follow                Keep printing new entries
+  --json                      Print raw JSON lines
+
+Keys options (reads API_KEYS_FILE, default ~/.codex-gateway/api-keys.json):
+  --label <name>              Who the key is for; shown in logs
+  --models <patterns>         Comma-separated model ids or globs the key may use (default: all)
+  --sandbox <mode>            Most permissive sandbox the key's turns get (default: no ceiling)
+  --expires <time>            Age such as 30d or 12h, or an ISO timestamp (default: never)
+  --admin                     The key may also use the admin API (and codex-gateway ctl)
+
+Threads (reads THREAD_STATE_FILE, default ~/.codex-gateway/threads.json):
+  list                        Saved threads and the conversations they hold
+  resume <thread-id>          Check that Codex can still resume a saved thread; forget it if not
+  forget <id>... | --all      Stop resuming threads (a running gateway keeps them until it restarts)
+
+Ctl (talks to a running gateway's /admin API):
+  turns                       Running turns with their elapsed time, and queued turns
+  drain                       Fail every queued turn (running turns continue)
+  restart [process]           Restart all app-servers, or one such as codex#2
+  threads                     Threads the app-servers hold
+  reset <thread-id>           Cancel the thread's turn, if any, and forget the thread
+  drop <thread-id>            Same as reset
+  config [name=value...]      Show or change defaultCodexModel and the *TimeoutMs settings
+  approvals                   Pending approvals
+  approve|deny <id>           Decide an approval (--reason <text>)
+  --url <url>                 Gateway URL (default: env GATEWAY_URL, else GATEWAY_HOST:GATEWAY_PORT)
+  --key <key>                 Admin API key (default: env GATEWAY_API_KEY); not needed on localhost without keys
+  --json                      Print the raw JSON response
+
 Env:
+  GATEWAY_AUTH=auto|on|off      (auto: require a key once any exists)
+  API_KEYS_FILE=<path>          (default: $GATEWAY_STATE_DIR/api-keys.json)
   AUTO_APPROVE=true|false
+  APPROVAL_TIMEOUT_MS=120000    (pending approvals are denied after this)
+  APPROVAL_TTY=true|false
   FORCE_STREAM_FALSE=true|false
   DEFAULT_CODEX_MODEL=gpt-5.2|gpt-5.3-codex|...
+  UNKNOWN_MODEL=fallback|error  (unmatched model ids use DEFAULT_CODEX_MODEL, or get 404)
   CODEX_SANDBOX=read-only|workspace-write|danger-full-access|seatbelt
   AUTO_RESTART=true|false
+  CODEX_RESTART_DELAY_MS=1000            (first restart delay; doubles per crash, with jitter)
+  CODEX_RESTART_MAX_DELAY_MS=30000
+  CODEX_CIRCUIT_BREAKER_THRESHOLD=5      (crashes in a row before turns fail fast)
+  CODEX_CIRCUIT_BREAKER_COOLDOWN_MS=60000
+  CODEX_TOOL_RESULT_TIMEOUT_MS=1800000
+  CODEX_MAX_THREADS=32
+  CODEX_MODEL_CONCURRENCY=gpt-5.3-codex=1,gpt-5.2=4
+  CODEX_THREAD_IDLE_TTL_MS=3600000
+  CONTEXT_BUDGET_TOKENS=200000           (transcript budget for new threads; 0 = none)
+  CONTEXT_BUDGETS=gpt-5.2=150000         (per Codex model)
+  CONTEXT_STRATEGY=truncate-tool-results|drop-oldest|summarize|off
+  CONTEXT_SUMMARY_MODEL=<codex model>    (for summarize; default: DEFAULT_CODEX_MODEL)
+  CODEX_WORKSPACES=api=~/src/api,web=/srv/web  (pick with /w/<name>/v1/... or x-codex-workspace)
+  GATEWAY_STATE_DIR=~/.codex-gateway
+  AUDIT_LOG_FILE=<path>|off    (default: $GATEWAY_STATE_DIR/audit.jsonl)
+  THREAD_STATE_FILE=<path>|off (default: $GATEWAY_STATE_DIR/threads.json)
 `);
 }
 
@@ -58,6 +145,9 @@ function parseCliOptions(args) {
       case "--workdir":
         options.workdir = args[++index];
         break;
+      case "--workspace":
+        options.workspaces = [...(options.workspaces ?? []), args[++index] ?? ""];
+        break;
       case "--codex-path":
         options.codexPath = args[++index];
         break;
@@ -70,6 +160,27 @@ function parseCliOptions(args) {
       case "--request-timeout-ms":
         options.requestTimeoutMs = parseInteger("--request-timeout-ms", args[++index]);
         break;
+      case "--processes":
+        options.codexProcesses = parseInteger("--processes", args[++index]);
+        break;
+      case "--turns-per-process":
+        options.turnsPerProcess = parseInteger("--turns-per-process", args[++index]);
+        break;
+      case "--model-routes":
+        options.modelRoutesFile = args[++index];
+        break;
+      case "--approval-policy":
+        options.approvalPolicyFile = args[++index];
+        break;
+      case "--log-level":
+        options.logLevel = args[++index];
+        break;
+      case "--log-format":
+        options.logFormat = args[++index];
+        break;
+      case "--approval-tty":
+        options.approvalTty = true;
+        break;
       case "--help":
       case "-h":
         options.help = true;
@@ -82,6 +193,600 @@ function parseCliOptions(args) {
   return options;
 }
 
+function parseSince(raw) {
+  const age = /^(\d+)(s|m|h|d)$/.exec(String(raw ?? "").trim());
+  if (age) {
+    const unitMs = { s: 1_000, m: 60_000, h: 3_600_000, d: 86_400_000 }[age[2]];
+    return new Date(Date.now() - Number.parseInt(age[1], 10) * unitMs);
+  }
+
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid value for --since: ${raw}`);
+  }
+  return date;
+}
+
+function parseExpiry(raw) {
+  const age = /^(\d+)(m|h|d)$/.exec(String(raw ?? "").trim());
+  if (age) {
+    const unitMs = { m: 60_000, h: 3_600_000, d: 86_400_000 }[age[2]];
+    return new Date(Date.now() + Number.parseInt(age[1], 10) * unitMs);
+  }
+
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid value for --expires: ${raw}`);
+  }
+  return date;
+}
+
+function parseAuditOptions(args) {
+  const options = { limit: 50, follow: false, json: false };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const token = args[index];
+
+    switch (token) {
+      case "--file":
+        options.file = args[++index];
+        break;
+      case "--type":
+        options.type = args[++index];
+        break;
+      case "--request":
+        options.requestId = args[++index];
+        break;
+      case "--thread":
+        options.threadId = args[++index];
+        break;
+      case "--turn":
+        options.turnId = args[++index];
+        break;
+      case "--since":
+        options.since = parseSince(args[++index]);
+        break;
+      case "--grep":
+        options.text = args[++index];
+        break;
+      case "-n":
+      case "--limit":
+        options.limit = parseInteger(token, args[++index]);
+        break;
+      case "-f":
+      case "--follow":
+        options.follow = true;
+        break;
+      case "--json":
+        options.json = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${token}`);
+    }
+  }
+
+  return options;
+}
+
+async function runAudit(args) {
+  const options = parseAuditOptions(args);
+  const rawFile = options.file ?? process.env.AUDIT_LOG_FILE ?? path.join(resolveStateDir(), "audit.jsonl");
+  const filePath = path.resolve(rawFile);
+  const print = (entry) => console.log(options.json ? JSON.stringify(entry) : formatAuditEntry(entry));
+  const filter = createAuditFilter(options);
+
+  let offset = 0;
+  if (fs.existsSync(filePath)) {
+    offset = fs.statSync(filePath).size;
+    const entries = await readAuditEntries(filePath, filter, options.limit);
+    entries.forEach(print);
+  } else if (!options.follow) {
+    throw new Error(`Audit log not found: ${filePath}`);
+  }
+
+  if (!options.follow) {
+    return;
+  }
+
+  const controller = new AbortController();
+  followAuditLog(filePath, filter, print, { fromOffset: offset, signal: controller.signal });
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  controller.abort();
+}
+
+function parseModelsOptions(args) {
+  const options = { json: false };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const token = args[index];
+
+    switch (token) {
+      case "--model-routes":
+        options.modelRoutesFile = args[++index];
+        break;
+      case "--default-codex-model":
+        options.defaultCodexModel = args[++index];
+        break;
+      case "--json":
+        options.json = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${token}`);
+    }
+  }
+
+  return options;
+}
+
+function runModels(args) {
+  const { json, ...overrides } = parseModelsOptions(args);
+  const config = loadConfig(overrides);
+  const { modelRoutes, defaultCodexModel } = config;
+
+  if (json) {
+    console.log(JSON.stringify({ data: listRoutedModels(modelRoutes, defaultCodexModel) }, null, 2));
+    return;
+  }
+
+  console.log(`Routes (${modelRoutes.source ?? "built-in"}), first match wins:`);
+  const rows = modelRoutes.routes.map((route) => [
+    route.match.join(", "),
+    route.model ?? `${defaultCodexModel} (default)`,
+    route.effort ?? "-",
+    route.sandbox ?? "-"
+  ]);
+  const header = ["MATCH", "CODEX MODEL", "EFFORT", "SANDBOX"];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  for (const row of [header, ...rows]) {
+    console.log(`  ${row.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd()}`);
+  }
+  console.log(
+    modelRoutes.unknownModel === "error"
+      ? "Unknown models: rejected with 404 not_found_error"
+      : `Unknown models: ${defaultCodexModel} (fallback)`
+  );
+}
+
+function parseKeysOptions(args) {
+  const options = { json: false, positional: [] };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const token = args[index];
+
+    switch (token) {
+      case "--label":
+        options.label = args[++index];
+        break;
+      case "--models":
+        options.models = String(args[++index] ?? "")
+          .split(",")
+          .map((model) => model.trim())
+          .filter(Boolean);
+        break;
+      case "--sandbox":
+        options.sandbox = args[++index];
+        break;
+      case "--expires":
+        options.expiresAt = parseExpiry(args[++index]);
+        break;
+      case "--admin":
+        options.admin = true;
+        break;
+      case "--json":
+        options.json = true;
+        break;
+      default:
+        if (token.startsWith("-")) {
+          throw new Error(`Unknown option: ${token}`);
+        }
+        options.positional.push(token);
+    }
+  }
+
+  return options;
+}
+
+function keyStatus(key) {
+  if (key.revokedAt) {
+    return "revoked";
+  }
+  return key.expiresAt && Date.parse(key.expiresAt) <= Date.now() ? "expired" : "active";
+}
+
+function runKeys(args) {
+  const [verb, ...rest] = args;
+  const options = parseKeysOptions(rest);
+  const store = new ApiKeyStore({ filePath: resolveApiKeysFile() });
+
+  switch (verb) {
+    case "create": {
+      const { key, record } = store.create({
+        label: options.label,
+        models: options.models ?? null,
+        sandbox: options.sandbox ?? null,
+        expiresAt: options.expiresAt ?? null,
+        admin: options.admin === true
+      });
+      if (options.json) {
+        console.log(JSON.stringify({ key, ...record }, null, 2));
+        return;
+      }
+      console.log(`Created ${record.id} (${record.label}). This is the only time the key is shown:`);
+      console.log(key);
+      return;
+    }
+    case "list": {
+      const keys = store.list();
+      if (options.json) {
+        console.log(JSON.stringify({ data: keys.map((key) => ({ ...key, status: keyStatus(key) })) }, null, 2));
+        return;
+      }
+      if (keys.length === 0) {
+        console.log(`No API keys in ${store.filePath}.`);
+        return;
+      }
+      const rows = keys.map((key) => [
+        key.id,
+        key.label,
+        key.hint,
+        keyStatus(key),
+        key.models ? key.models.join(",") : "*",
+        key.sandbox ?? "-",
+        key.admin ? "yes" : "-",
+        key.expiresAt ?? "never"
+      ]);
+      printTable(["ID", "LABEL", "KEY", "STATUS", "MODELS", "SANDBOX", "ADMIN", "EXPIRES"], rows);
+      return;
+    }
+    case "revoke": {
+      const [id] = options.positional;
+      if (!id) {
+        throw new Error("Usage: codex-gateway keys revoke <id>");
+      }
+      if (!store.revoke(id)) {
+        throw new Error(`No active API key ${id}.`);
+      }
+      console.log(`Revoked ${id}.`);
+      return;
+    }
+    default:
+      throw new Error("Usage: codex-gateway keys create|list|revoke");
+  }
+}
+
+function parseThreadsOptions(args) {
+  const options = { json: false, all: false, positional: [] };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const token = args[index];
+
+    switch (token) {
+      case "--json":
+        options.json = true;
+        break;
+      case "--all":
+        options.all = true;
+        break;
+      case "--workdir":
+        options.workdir = args[++index];
+        break;
+      case "--workspace":
+        options.workspaces = [...(options.workspaces ?? []), args[++index] ?? ""];
+        break;
+      case "--codex-path":
+        options.codexPath = args[++index];
+        break;
+      default:
+        if (token.startsWith("-")) {
+          throw new Error(`Unknown option: ${token}`);
+        }
+        options.positional.push(token);
+    }
+  }
+
+  return options;
+}
+
+async function runThreads(args) {
+  const [verb, ...rest] = args;
+  const { json, all, positional, ...overrides } = parseThreadsOptions(rest);
+  const config = loadConfig(overrides);
+  if (!config.threadStateFile) {
+    throw new Error("Saving threads is off (THREAD_STATE_FILE=off).");
+  }
+  const store = new ThreadStore({ filePath: config.threadStateFile });
+
+  switch (verb) {
+    case "list": {
+      const threads = store.list();
+      if (json) {
+        console.log(JSON.stringify({ data: threads }, null, 2));
+        return;
+      }
+      if (threads.length === 0) {
+        console.log(`No saved threads in ${store.filePath}.`);
+        return;
+      }
+      const rows = threads.map((thread) => [
+        thread.threadId,
+        thread.process,
+        thread.scope,
+        thread.workspace ?? "-",
+        String(store.toolsFor(thread).length),
+        thread.sandbox ?? "-",
+        thread.lastUsedAt
+      ]);
+      printTable(["THREAD", "PROCESS", "SCOPE", "WORKSPACE", "TOOLS", "SANDBOX", "LAST USED"], rows);
+      return;
+    }
+    case "resume": {
+      const [threadId] = positional;
+      const saved = threadId ? store.get(threadId) : null;
+      if (!saved) {
+        throw new Error(threadId ? `No saved thread ${threadId}.` : "Usage: codex-gateway threads resume <thread-id>");
+      }
+
+      // A second app-server must not resume a thread the running gateway may be using.
+      const gatewayUrl = resolveGatewayUrl(undefined, config);
+      if (await gatewayAnswers(gatewayUrl)) {
+        throw new Error(`A gateway is running at ${gatewayUrl} and resumes saved threads itself; stop it first.`);
+      }
+
+      const logger = createLogger({ level: "error", format: config.logFormat });
+      const client = new CodexAppServerClient({ ...config, autoRestart: false }, logger);
+      try {
+        await client.ensureReady();
+        await client.resumeThread({ ...saved, tools: store.toolsFor(saved) });
+        console.log(`Codex resumed thread ${threadId}; the gateway continues it on its next start.`);
+      } catch (error) {
+        store.forget([threadId]);
+        throw new Error(`Codex cannot resume thread ${threadId} (${error.message}); forgot it.`);
+      } finally {
+        await client.stop();
+      }
+      return;
+    }
+    case "forget": {
+      const threadIds = all ? store.list().map((thread) => thread.threadId) : positional;
+      if (threadIds.length === 0) {
+        throw new Error("Usage: codex-gateway threads forget <thread-id>... | --all");
+      }
+      console.log(`Forgot ${store.forget(threadIds)} of ${threadIds.length} threads.`);
+      return;
+    }
+    default:
+      throw new Error("Usage: codex-gateway threads list|resume|forget");
+  }
+}
+
+function parseCtlOptions(args) {
+  const options = { json: false, positional: [] };
+
+  for (let index = 0; index < args.length; index += 1) {
+    const token = args[index];
+
+    switch (token) {
+      case "--url":
+        options.url = args[++index];
+        break;
+      case "--key":
+        options.key = args[++index];
+        break;
+      case "--reason":
+        options.reason = args[++index];
+        break;
+      case "--json":
+        options.json = true;
+        break;
+      default:
+        if (token.startsWith("-")) {
+          throw new Error(`Unknown option: ${token}`);
+        }
+        options.positional.push(token);
+    }
+  }
+
+  return options;
+}
+
+function printTable(header, rows) {
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd());
+  }
+}
+
+function formatElapsed(ms) {
+  return ms < 60_000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.floor(ms / 60_000)}m${Math.round((ms % 60_000) / 1000)}s`;
+}
+
+// `name=value` from the command line; digits become numbers.
+function parseSetting(assignment) {
+  const match = /^([^=]+)=(.*)$/.exec(assignment);
+  if (!match) {
+    throw new Error(`Expected name=value, got ${assignment}`);
+  }
+  return [match[1].trim(), /^\d+$/.test(match[2].trim()) ? Number(match[2].trim()) : match[2]];
+}
+
+function resolveGatewayUrl(option, config = null) {
+  if (option ?? process.env.GATEWAY_URL) {
+    return (option ?? process.env.GATEWAY_URL).replace(/\/+$/, "");
+  }
+
+  const { host, port } = config ?? loadConfig();
+  // A gateway listening on every interface is reachable on loopback.
+  const target = host === "0.0.0.0" || host === "::" ? "127.0.0.1" : host;
+  return `http://${target.includes(":") ? `[${target}]` : target}:${port}`;
+}
+
+async function gatewayAnswers(baseUrl) {
+  try {
+    await fetch(`${baseUrl}/healthz`, { method: "HEAD", signal: AbortSignal.timeout(2_000) });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function runCtl(args) {
+  const [verb, ...rest] = args;
+  const { json, url, key, reason, positional } = parseCtlOptions(rest);
+  const baseUrl = resolveGatewayUrl(url);
+  const apiKey = key ?? process.env.GATEWAY_API_KEY;
+
+  const call = async (method, pathname, body) => {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${pathname}`, {
+        method,
+        headers: {
+          "x-codex-admin": "ctl",
+          ...(apiKey ? { "x-api-key": apiKey } : {}),
+          ...(body !== undefined ? { "content-type": "application/json" } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      throw new Error(`Cannot reach the gateway at ${baseUrl}: ${error.cause?.message ?? error.message}`);
+    }
+
+    const payload = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${payload?.error?.message ?? response.statusText}`);
+    }
+    if (json) {
+      console.log(JSON.stringify(payload, null, 2));
+    }
+    return payload;
+  };
+  const requireId = (usage) => {
+    if (!positional[0]) {
+      throw new Error(`Usage: codex-gateway ctl ${usage}`);
+    }
+    return encodeURIComponent(positional[0]);
+  };
+
+  switch (verb) {
+    case "turns": {
+      const { running, queued } = await call("GET", "/admin/turns");
+      if (json) {
+        return;
+      }
+      if (running.length === 0) {
+        console.log("No running turns.");
+      } else {
+        printTable(
+          ["PROCESS", "THREAD", "TURN", "MODEL", "ELAPSED", "STATE", "REQUEST"],
+          running.map((turn) => [
+            turn.process,
+            turn.threadId,
+            turn.turnId ?? "-",
+            turn.model ?? "-",
+            formatElapsed(turn.elapsedMs),
+            turn.waitingForToolResult ? "tool_result" : "running",
+            turn.requestId ?? "-"
+          ])
+        );
+      }
+      if (queued.length > 0) {
+        console.log("");
+        printTable(
+          ["QUEUED MODEL", "CONVERSATION", "WAITED"],
+          queued.map((job) => [job.model, job.lane, formatElapsed(job.waitedMs)])
+        );
+      }
+      return;
+    }
+    case "drain": {
+      const { drained } = await call("POST", "/admin/drain");
+      if (!json) {
+        console.log(`Drained ${drained} queued turns.`);
+      }
+      return;
+    }
+    case "restart": {
+      const { restarted } = await call("POST", "/admin/restart", positional[0] ? { process: positional[0] } : {});
+      if (!json) {
+        console.log(`Restarted ${restarted.join(", ")}.`);
+      }
+      return;
+    }
+    case "threads": {
+      const { data } = await call("GET", "/admin/threads");
+      if (json) {
+        return;
+      }
+      if (data.length === 0) {
+        console.log("No threads.");
+        return;
+      }
+      printTable(
+        ["PROCESS", "THREAD", "SCOPE", "WORKSPACE", "STATE", "LAST USED"],
+        data.map((thread) => [
+          thread.process,
+          thread.threadId,
+          thread.scope,
+          thread.workspace ?? "-",
+          thread.busy ? "busy" : "idle",
+          thread.lastUsedAt
+        ])
+      );
+      return;
+    }
+    case "reset":
+    case "drop": {
+      const threadId = requireId(`${verb} <thread-id>`);
+      await call("POST", `/admin/threads/${threadId}/${verb}`);
+      if (!json) {
+        console.log(`${verb === "reset" ? "Reset" : "Dropped"} thread ${positional[0]}.`);
+      }
+      return;
+    }
+    case "config": {
+      const settings =
+        positional.length > 0
+          ? await call("PATCH", "/admin/config", Object.fromEntries(positional.map(parseSetting)))
+          : await call("GET", "/admin/config");
+      if (!json) {
+        for (const [name, value] of Object.entries(settings)) {
+          console.log(`${name}=${value}`);
+        }
+      }
+      return;
+    }
+    case "approvals": {
+      const { data } = await call("GET", "/admin/approvals");
+      if (json) {
+        return;
+      }
+      if (data.length === 0) {
+        console.log("No pending approvals.");
+        return;
+      }
+      printTable(
+        ["ID", "KIND", "DESCRIPTION", "EXPIRES"],
+        data.map((approval) => [approval.id, approval.kind, approval.description, approval.expiresAt])
+      );
+      return;
+    }
+    case "approve":
+    case "deny": {
+      const id = requireId(`${verb} <approval-id> [--reason <text>]`);
+      await call("POST", `/admin/approvals/${id}/${verb}`, reason ? { reason } : {});
+      if (!json) {
+        console.log(`${verb === "approve" ? "Approved" : "Denied"} ${positional[0]}.`);
+      }
+      return;
+    }
+    default:
+      throw new Error("Usage: codex-gateway ctl turns|drain|restart|threads|reset|drop|config|approvals|approve|deny");
+  }
+}
+
 export async function runCli(argv) {
   const command = argv[0] ?? "start";
 
@@ -90,6 +795,31 @@ export async function runCli(argv) {
     return;
   }
 
+  if (command === "audit") {
+    await runAudit(argv.slice(1));
+    return;
+  }
+
+  if (command === "models") {
+    runModels(argv.slice(1));
+    return;
+  }
+
+  if (command === "keys") {
+    runKeys(argv.slice(1));
+    return;
+  }
+
+  if (command === "threads") {
+    await runThreads(argv.slice(1));
+    return;
+  }
+
+  if (command === "ctl") {
+    await runCtl(argv.slice(1));
+    return;
+  }
+
   if (command !== "start") {
     throw new Error(`Unknown command: ${command}`);
   }
@@ -101,14 +831,23 @@ export async function runCli(argv) {
   }
 
   const config = loadConfig(cliOptions);
-  const codexClient = new CodexAppServerClient(config, console);
+  const logger = createLogger({ level: config.logLevel, format: config.logFormat });
+  const approvals = new ApprovalManager({ timeoutMs: config.approvalTimeoutMs, logger });
+  const audit = config.auditLogFile ? new AuditLog({ filePath: config.auditLogFile, logger }) : null;
+  const metrics = new GatewayMetrics();
+  const threadStore = config.threadStateFile ? new ThreadStore({ filePath: config.threadStateFile, logger }) : null;
+  const codexClient = new CodexPool(config, logger, { approvals, audit, metrics, threadStore });
+  const apiKeys = new ApiKeyStore({ filePath: config.apiKeysFile });
 
   await codexClient.ensureReady();
 
   const server = createGatewayServer({
     config,
     codexClient,
-    logger: console
+    approvals,
+    apiKeys,
+    metrics,
+    logger
   });
 
   await new Promise((resolve, reject) => {
@@ -116,16 +855,42 @@ export async function runCli(argv) {
     server.listen(config.port, config.host, resolve);
   });
 
-  console.log(`[gateway] listening on http://${config.host}:${config.port}`);
-  console.log(`[gateway] codex=${config.codexPath} workdir=${config.workdir}`);
-  console.log(
+  logger.info(`[gateway] listening on http://${config.host}:${config.port}`);
+  logger.info(`[gateway] codex=${config.codexPath} workdir=${config.workdir}`);
+  for (const [name, workdir] of Object.entries(config.workspaces)) {
+    logger.info(`[gateway] workspace ${name}=${workdir} (/w/${name}/v1/...)`);
+  }
+  logger.info(`[gateway] audit=${config.auditLogFile ?? "off"} threads=${config.threadStateFile ?? "off"}`);
+  logger.info(`[gateway] context budget=${config.contextBudgetTokens} strategy=${config.contextStrategy}`);
+  logger.info(
+    `[gateway] processes=${config.codexProcesses} turnsPerProcess=${config.turnsPerProcess} modelConcurrency=${JSON.stringify(config.modelConcurrency)}`
+  );
+  logger.info(
     `[gateway] autoApprove=${config.autoApprove} forceStreamFalse=${config.forceStreamFalse} defaultCodexModel=${config.defaultCodexModel}`
   );
+  const authRequired = config.auth === "on" || (config.auth === "auto" && apiKeys.size > 0);
+  logger.info(`[gateway] auth=${config.auth} (${authRequired ? "API key required" : "open"}) keys=${config.apiKeysFile}`);
+  if (!authRequired && !["127.0.0.1", "::1", "localhost"].includes(config.host)) {
+    logger.warn(`[gateway] listening on ${config.host} without API keys; create one with codex-gateway keys create`);
+  }
+  logger.info(
+    `[gateway] modelRoutes=${config.modelRoutes.source ?? "built-in"} unknownModel=${config.modelRoutes.unknownModel}`
+  );
+
+  if (!config.autoApprove) {
+    logger.info(
+      `[gateway] approvals: GET http://${config.host}:${config.port}/admin/approvals, POST .../<id>/approve|deny (timeout ${config.approvalTimeoutMs}ms)`
+    );
+    if (config.approvalTty && process.stdin.isTTY) {
+      attachApprovalPrompt(approvals);
+    }
+  }
 
   const shutdown = async () => {
-    console.log("[gateway] shutting down");
+    logger.info("[gateway] shutting down");
     server.close();
     await codexClient.stop();
+    await audit?.close();
     process.exit(0);
   };
 
@@ -3,6 +3,15 @@ import fs from "node:fs";
 import path from "node:path";
 import process from "node:process";
 import readline from "node:readline";
+import { evaluateApprovalPolicy } from "./approval-policy.js";
+import { describeApproval, isApprovalMethod, normalizeApprovalRequest, toCodexDecision } from "./approvals.js";
+import { classifyJsonRpcError, overloadedError, timeoutError } from "./codex-errors.js";
+import { ClientDisconnectedError, HttpError } from "./errors.js";
+import { CodexTurn } from "./codex-turn.js";
+import { writeTurnImages } from "./images.js";
+import { childLogger } from "./logger.js";
+import { defaultApprovalPolicy } from "./request-overrides.js";
+import { ThreadRouter, fingerprintThreadSettings } from "./thread-router.js";
 
 function messageFromJsonRpcError(error) {
   if (!error) {
@@ -65,10 +74,44 @@ function resolveWindowsCodexCommand(command, env = process.env) {
   return command;
 }
 
+const TURN_INTERRUPT_GRACE_MS = 5_000;
+// A process that ran this long before exiting was healthy; its exit starts a fresh backoff.
+const STABLE_UPTIME_MS = 60_000;
+// Attempts for a turn whose app-server died before the turn started.
+const MAX_TURN_START_ATTEMPTS = 3;
+// How long `restart()` waits for the app-server to exit on SIGTERM before it sends SIGKILL.
+const RESTART_KILL_GRACE_MS = 5_000;
+// How often a process that cannot start threads tries again, so readiness recovers without traffic.
+const THREAD_START_PROBE_MS = 30_000;
+
+// The app-server died before answering; a turn that got this never started and can be retried.
+function appServerGoneError(message) {
+  const error = overloadedError(message);
+  error.turnNotStarted = true;
+  return error;
+}
+
 export class CodexAppServerClient {
-  constructor(config, logger = console) {
+  constructor(
+    config,
+    logger = console,
+    {
+      index = null,
+      approvals = null,
+      audit = null,
+      metrics = null,
+      threadStore = null,
+      threadStartProbeMs = THREAD_START_PROBE_MS
+    } = {}
+  ) {
     this.config = config;
     this.logger = logger;
+    this.approvals = approvals;
+    this.audit = audit;
+    this.metrics = metrics;
+    this.threadStore = threadStore;
+    // Log tag; numbered when the pool runs several app-server processes.
+    this.tag = index === null ? "codex" : `codex#${index}`;
 
     this.child = null;
     this.readline = null;
@@ -76,16 +119,46 @@ export class CodexAppServerClient {
     this.requestCounter = 1;
     this.notificationListeners = new Set();
 
-    this.threadId = null;
-    this.turnQueue = Promise.resolve();
+    this.ready = false;
+    this.router = new ThreadRouter({
+      maxThreads: config.maxThreads,
+      idleTtlMs: config.threadIdleTtlMs,
+      onEvict: (entry) => {
+        this.logger.info(`[${this.tag}] evicted idle thread=${entry.threadId} scope=${entry.scope}`);
+        this.threadStore?.forget([entry.threadId]);
+      }
+    });
+    this.activeTurns = new Map();
+    // In-flight command/file change items, for approval requests that only carry an item id.
+    this.inFlightItems = new Map();
 
     this.startPromise = null;
     this._startReject = null;
     this.isStopping = false;
+
+    // For /status and /readyz.
+    this.version = null;
+    this.processStartedAt = null;
+    this.restartCount = 0;
+    this.restarting = false;
+    this.lastError = null;
+    this.threadStartError = null;
+    this.threadStartProbeMs = threadStartProbeMs;
+    this.probeTimer = null;
+    // The thread the readiness probe started, kept for the next request with default settings.
+    this.spareThreadId = null;
+
+    // Restart backoff and circuit breaker.
+    this.consecutiveCrashes = 0;
+    this.circuitOpenUntil = 0;
+    this.restartTimer = null;
+    this.restartListeners = new Set();
+    // Set while `restart()` replaces the process itself.
+    this.restartRequested = false;
   }
 
   async ensureReady() {
-    if (this.threadId && this.child && !this.child.killed) {
+    if (this.ready && this.child && !this.child.killed) {
       return;
     }
 
@@ -107,6 +180,11 @@ export class CodexAppServerClient {
 
   async stop() {
     this.isStopping = true;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+    this.#notifyRestartAttempt();
 
     for (const pending of this.pendingRequests.values()) {
       clearTimeout(pending.timeoutId);
@@ -124,17 +202,171 @@ export class CodexAppServerClient {
     }
 
     this.child = null;
-    this.threadId = null;
+    this.ready = false;
+    this.router.clear();
+    this.spareThreadId = null;
+  }
+
+  /**
+   * Runs one Codex turn right away; `CodexPool` decides when turns may start.
+   * `options.onDelta(text)` is called with agent message text as it arrives, and
+   * `options.onReasoningDelta(text)` with reasoning summary text; set
+   * `options.reasoningSummary` to ask Codex for those summaries.
+   * `options.tools` are registered as Codex dynamic tools; `options.toolResults`
+   * answer the tool calls of a turn that stopped with `tool_use`.
+   * `options.conversation` (see `buildConversationRoute`) lets the turn continue
+   * the Codex thread that already holds the conversation, sending only the new turn.
+   * Aborting `options.signal` interrupts the turn and rejects with `signal.reason`.
+   * `options.requestId` links the turn's audit entries to the HTTP request.
+   */
+  async runTurn(inputText, timeoutMs, model, options = {}) {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await this.#runTurn(inputText, timeoutMs, model, options);
+      } catch (error) {
+        // The app-server died before the turn started: run it again on the restarted process.
+        if (!error?.turnNotStarted || attempt >= MAX_TURN_START_ATTEMPTS || options.signal?.aborted) {
+          throw error;
+        }
+        childLogger(this.logger, { requestId: options.requestId ?? null }).warn(
+          `[${this.tag}] retrying turn that never started (attempt ${attempt + 1}): ${error.message}`
+        );
+      }
+    }
   }
 
-  async queueTurn(inputText, timeoutMs, model) {
-    const task = () => this.#runTurn(inputText, timeoutMs, model);
-    const result = this.turnQueue.then(task, task);
-    this.turnQueue = result.then(
-      () => undefined,
-      () => undefined
+  /** Whether this app-server holds the thread (or suspended turn) the request continues. */
+  ownsConversation({
+    toolResults = [],
+    tools = [],
+    sandbox = null,
+    approvalPolicy = null,
+    workspace = null,
+    conversation = {}
+  } = {}) {
+    if (this.#findSuspendedTurn(toolResults)) {
+      return true;
+    }
+
+    return (
+      this.router.find({
+        scope: conversation.scope ?? "default",
+        fingerprint: conversation.resumeFingerprint,
+        settingsKey: fingerprintThreadSettings({ tools, sandbox, approvalPolicy, workspace })
+      }) !== null
     );
-    return result;
+  }
+
+  /** Why this app-server cannot take turns right now, or null when it can. */
+  notReadyReason() {
+    if (this.circuitOpenUntil > Date.now()) {
+      return "circuit open after repeated crashes";
+    }
+    if (this.restarting) {
+      return "restart in progress";
+    }
+    if (!this.ready || !this.child) {
+      return "app-server is not running";
+    }
+    if (this.threadStartError) {
+      return `cannot start threads: ${this.threadStartError}`;
+    }
+    return null;
+  }
+
+  /** Process, thread and turn details for `/status`. */
+  status() {
+    return {
+      process: this.tag,
+      pid: this.child?.pid ?? null,
+      version: this.version,
+      ready: this.notReadyReason() === null,
+      notReadyReason: this.notReadyReason(),
+      startedAt: this.processStartedAt ? new Date(this.processStartedAt).toISOString() : null,
+      restartCount: this.restartCount,
+      consecutiveCrashes: this.consecutiveCrashes,
+      circuitOpenUntil: this.circuitOpenUntil > Date.now() ? new Date(this.circuitOpenUntil).toISOString() : null,
+      lastError: this.lastError,
+      threads: this.router.list().map((thread) => ({
+        ...thread,
+        workspace: this.router.get(thread.threadId)?.settings?.workspace ?? null
+      })),
+      inFlightTurns: this.inFlightTurns()
+    };
+  }
+
+  inFlightTurns() {
+    return [...this.activeTurns.values()].map((turn) => ({
+      threadId: turn.threadId,
+      turnId: turn.turnId,
+      requestId: turn.requestId,
+      model: turn.model,
+      workspace: this.router.get(turn.threadId)?.settings?.workspace ?? null,
+      startedAt: new Date(turn.startedAt).toISOString(),
+      elapsedMs: Date.now() - turn.startedAt,
+      waitingForToolResult: turn.isSuspended
+    }));
+  }
+
+  /**
+   * Restarts the app-server now, e.g. for the admin API: running turns fail like
+   * on a crash, but there is no backoff and the crash count starts over.
+   */
+  async restart(reason) {
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.consecutiveCrashes = 0;
+    this.circuitOpenUntil = 0;
+    this.restarting = true;
+
+    try {
+      const child = this.child;
+      // `killed` only says a signal was sent; a process that ignored it has not exited.
+      if (child && child.exitCode === null && child.signalCode === null) {
+        const exited = new Promise((resolve) => child.once("exit", resolve));
+        // The exit handler must not schedule its own restart.
+        this.restartRequested = true;
+        this.resetSession(reason);
+        const killTimer = setTimeout(() => {
+          this.logger.warn(`[${this.tag}] app-server ignored SIGTERM for ${RESTART_KILL_GRACE_MS}ms; sending SIGKILL`);
+          child.kill("SIGKILL");
+        }, RESTART_KILL_GRACE_MS);
+        try {
+          await exited;
+        } finally {
+          clearTimeout(killTimer);
+        }
+      }
+      this.metrics?.appServerRestarts.inc({ process: this.tag });
+      this.restartCount += 1;
+      await this.ensureReady();
+      this.restarting = false;
+    } catch (error) {
+      this.#noteError(`restart failed: ${error.message}`);
+      this.restarting = false;
+      if (this.config.autoRestart) {
+        this.#scheduleRestart();
+      }
+      throw error;
+    } finally {
+      this.restartRequested = false;
+      this.#notifyRestartAttempt();
+    }
+  }
+
+  /**
+   * Cancels the thread's running (or suspended) turn, if any, and forgets the
+   * thread, so its conversation starts a new one. False for unknown threads.
+   */
+  async resetThread(threadId, reason) {
+    const known = this.router.get(threadId) !== null || this.threadStore?.get(threadId)?.process === this.tag;
+    const turn = this.activeTurns.get(threadId);
+    turn?.fail(new HttpError(500, reason, "api_error"));
+    this.#forgetThread(threadId);
+    if (turn) {
+      await this.#abandonTurn(turn, reason);
+    }
+    return known || Boolean(turn);
   }
 
   onNotification(listener) {
@@ -151,30 +383,186 @@ export class CodexAppServerClient {
 
     this.#spawnProcess();
 
-    await this.#sendRequest("initialize", {
+    const initializeResponse = await this.#sendRequest("initialize", {
       clientInfo: {
         name: "codex-gateway",
         version: "0.1.0"
       },
-      capabilities: null
+      capabilities: {
+        // Dynamic tools are part of the experimental app-server API.
+        experimentalApi: true
+      }
     });
 
     this.#sendNotification("initialized");
 
-    const threadStartResponse = await this.#sendRequest("thread/start", {
-      cwd: this.config.workdir,
-      approvalPolicy: this.config.autoApprove ? "never" : "on-request",
-      sandbox: this.config.sandboxMode,
-      experimentalRawEvents: false,
-      persistExtendedHistory: false
+    // e.g. "codex_cli_rs/0.98.0 (Mac OS 15.3.0; arm64) ..."
+    const userAgent = initializeResponse?.userAgent ?? null;
+    this.version = /\/(\d+\.\d+\.\d+[^\s]*)/.exec(userAgent ?? "")?.[1] ?? userAgent;
+    this.processStartedAt = Date.now();
+    this.ready = true;
+    this.logger.info(`[${this.tag}] ready`);
+
+    await this.#resumeSavedThreads();
+    await this.#probeThreadStart();
+  }
+
+  // A running app-server is not ready until it has shown it can start a thread;
+  // that thread then serves the next new conversation instead of going unused.
+  async #probeThreadStart() {
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+    try {
+      this.spareThreadId = await this.#startThread();
+    } catch (error) {
+      if (!this.ready || this.isStopping) {
+        return;
+      }
+      this.logger.warn(
+        `[${this.tag}] cannot start threads (${error.message}); trying again in ${this.threadStartProbeMs}ms`
+      );
+      this.probeTimer = setTimeout(() => {
+        if (this.ready && this.threadStartError) {
+          this.#probeThreadStart();
+        }
+      }, this.threadStartProbeMs);
+      this.probeTimer.unref?.();
+    }
+  }
+
+  /**
+   * Resumes a saved thread on this app-server and routes its conversation here
+   * again. Throws when Codex can no longer resume it.
+   */
+  async resumeThread(saved) {
+    const tools = this.threadStore?.toolsFor(saved) ?? saved.tools ?? [];
+    await this.#sendRequest("thread/resume", {
+      threadId: saved.threadId,
+      cwd: this.#workdirFor(saved.workspace),
+      approvalPolicy: saved.approvalPolicy ?? defaultApprovalPolicy(this.config),
+      sandbox: saved.sandbox ?? this.config.sandboxMode,
+      ...(tools.length > 0 ? { dynamicTools: tools } : {})
+    });
+
+    this.router.add({
+      threadId: saved.threadId,
+      scope: saved.scope,
+      settingsKey: saved.settingsKey,
+      settings: {
+        tools,
+        sandbox: saved.sandbox ?? null,
+        approvalPolicy: saved.approvalPolicy ?? null,
+        workspace: saved.workspace ?? null
+      }
+    });
+    this.router.release(saved.threadId, saved.fingerprint);
+  }
+
+  // The most recently used threads this process saved, up to CODEX_MAX_THREADS.
+  async #resumeSavedThreads() {
+    if (!this.threadStore) {
+      return;
+    }
+
+    const own = this.threadStore
+      .list()
+      .filter((entry) => entry.process === this.tag)
+      .sort((left, right) => Date.parse(right.lastUsedAt) - Date.parse(left.lastUsedAt));
+    // The router would evict the rest straight away; forget them like evicted threads.
+    this.threadStore.forget(own.slice(this.config.maxThreads).map((entry) => entry.threadId));
+    const saved = own.slice(0, this.config.maxThreads);
+    const results = await Promise.allSettled(saved.map((entry) => this.resumeThread(entry)));
+
+    const failed = [];
+    results.forEach((result, index) => {
+      // Keep threads whose resume only failed because the app-server died again.
+      if (result.status === "rejected" && !result.reason?.turnNotStarted) {
+        failed.push(saved[index].threadId);
+        this.logger.warn(`[${this.tag}] cannot resume thread=${saved[index].threadId}: ${result.reason?.message}`);
+      }
+    });
+    this.threadStore.forget(failed);
+    if (saved.length > 0) {
+      const resumed = results.filter((result) => result.status === "fulfilled").length;
+      this.logger.info(`[${this.tag}] resumed ${resumed} of ${saved.length} saved threads`);
+    }
+  }
+
+  #saveThread(threadId) {
+    const entry = this.router.get(threadId);
+    if (!this.threadStore || !entry?.fingerprint) {
+      return;
+    }
+
+    this.threadStore.save({
+      threadId,
+      scope: entry.scope,
+      settingsKey: entry.settingsKey,
+      fingerprint: entry.fingerprint,
+      sandbox: entry.settings?.sandbox ?? null,
+      approvalPolicy: entry.settings?.approvalPolicy ?? null,
+      workspace: entry.settings?.workspace ?? null,
+      tools: entry.settings?.tools ?? [],
+      process: this.tag
     });
+  }
+
+  // The thread no longer matches any conversation the client can continue.
+  #forgetThread(threadId) {
+    this.router.delete(threadId);
+    this.threadStore?.forget([threadId]);
+  }
+
+  // A thread runs in its workspace's directory, or in CODEX_WORKDIR without one.
+  #workdirFor(workspace) {
+    if (!workspace) {
+      return this.config.workdir;
+    }
+
+    const workdir = this.config.workspaces?.[workspace];
+    if (!workdir) {
+      throw new Error(`Workspace ${workspace} is not configured.`);
+    }
+    return workdir;
+  }
+
+  #threadWorkdir(threadId) {
+    return this.#workdirFor(this.router.get(threadId)?.settings?.workspace);
+  }
+
+  // Threads whose request asked for a stricter approval policy are never auto-approved.
+  #requiresApprover(threadId) {
+    return Boolean(this.router.get(threadId)?.settings?.approvalPolicy);
+  }
+
+  async #startThread(extraParams = {}) {
+    let threadId;
+    try {
+      const threadStartResponse = await this.#sendRequest("thread/start", {
+        cwd: this.config.workdir,
+        approvalPolicy: defaultApprovalPolicy(this.config),
+        sandbox: this.config.sandboxMode,
+        experimentalRawEvents: false,
+        persistExtendedHistory: false,
+        ...extraParams
+      });
 
-    this.threadId = threadStartResponse?.thread?.id;
-    if (!this.threadId) {
-      throw new Error("thread/start did not return a thread id.");
+      threadId = threadStartResponse?.thread?.id;
+      if (!threadId) {
+        throw new Error("thread/start did not return a thread id.");
+      }
+    } catch (error) {
+      if (error?.turnNotStarted) {
+        throw error;
+      }
+      // Not ready until a thread starts again: e.g. an expired login fails every thread.
+      this.threadStartError = error instanceof Error ? error.message : String(error);
+      this.#noteError(`thread/start failed: ${this.threadStartError}`);
+      throw error;
     }
 
-    this.logger.info(`[codex] ready thread=${this.threadId}`);
+    this.threadStartError = null;
+    return threadId;
   }
 
   #spawnProcess() {
@@ -209,7 +597,10 @@ export class CodexAppServerClient {
       if (!text) {
         return;
       }
-      this.logger.warn(`[codex stderr] ${text}`);
+      // stderr is not tied to a turn; name the requests running on this process instead.
+      const requestIds = [...this.activeTurns.values()].map((turn) => turn.requestId).filter(Boolean);
+      const log = requestIds.length > 0 ? childLogger(this.logger, { requestIds }) : this.logger;
+      log.warn(`[${this.tag} stderr] ${text}`);
     });
 
     child.on("error", (error) => {
@@ -217,7 +608,7 @@ export class CodexAppServerClient {
         error.code === "ENOENT"
           ? ` Codex CLI not found at "${rawCommand}". Install Codex or set CODEX_PATH to the full path of the codex executable.`
           : "";
-      this.logger.error(`[codex] process error: ${error.message}${hint}`);
+      this.logger.error(`[${this.tag}] process error: ${error.message}${hint}`);
       if (this._startReject) {
         this._startReject(error);
         this._startReject = null;
@@ -225,29 +616,129 @@ export class CodexAppServerClient {
     });
 
     child.on("exit", (code, signal) => {
-      this.logger.warn(`[codex] exited code=${code ?? "null"} signal=${signal ?? "null"}`);
-      this.threadId = null;
+      this.logger.warn(`[${this.tag}] exited code=${code ?? "null"} signal=${signal ?? "null"}`);
+      this.metrics?.appServerExits.inc({ process: this.tag, code: code ?? signal ?? "unknown" });
+      this.#noteError(`app-server exited code=${code ?? "null"} signal=${signal ?? "null"}`);
+      if (this.processStartedAt !== null && Date.now() - this.processStartedAt >= STABLE_UPTIME_MS) {
+        this.consecutiveCrashes = 0;
+      }
+      this.ready = false;
+      this.processStartedAt = null;
+      this.router.clear();
+      this.spareThreadId = null;
+
+      // Threads that died mid-turn hold a partial turn; only idle ones are resumed.
+      this.threadStore?.forget([...this.activeTurns.keys()]);
+      for (const turn of this.activeTurns.values()) {
+        turn.fail(overloadedError("Codex app-server exited."));
+        this.#recordTurnEnded(turn);
+        turn.dispose();
+        this.approvals?.denyThread(turn.threadId, "Codex app-server exited.");
+      }
+      this.activeTurns.clear();
+      this.inFlightItems.clear();
 
       for (const pending of this.pendingRequests.values()) {
         clearTimeout(pending.timeoutId);
-        pending.reject(new Error("Codex app-server exited."));
+        pending.reject(appServerGoneError("Codex app-server exited."));
       }
       this.pendingRequests.clear();
 
       this.child = null;
 
-      if (this.isStopping || !this.config.autoRestart) {
+      if (this.isStopping || this.restartRequested || !this.config.autoRestart) {
         return;
       }
 
-      setTimeout(() => {
-        this.ensureReady().catch((error) => {
-          this.logger.error(`[codex] restart failed: ${error.message}`);
-        });
-      }, this.config.restartDelayMs);
+      this.#scheduleRestart();
     });
   }
 
+  /**
+   * Restarts after an exit or a failed restart, with exponential backoff and
+   * jitter. After `circuitBreakerThreshold` crashes in a row the circuit opens:
+   * turns fail fast for `circuitBreakerCooldownMs`, then one restart is tried.
+   * The count resets once a turn completes or a process stays up for a minute.
+   */
+  #scheduleRestart() {
+    if (this.restartTimer || this.isStopping) {
+      return;
+    }
+
+    this.consecutiveCrashes += 1;
+    let delayMs;
+    if (this.consecutiveCrashes >= this.config.circuitBreakerThreshold) {
+      delayMs = this.config.circuitBreakerCooldownMs;
+      this.circuitOpenUntil = Date.now() + delayMs;
+      this.logger.error(
+        `[${this.tag}] circuit open after ${this.consecutiveCrashes} crashes in a row; next restart in ${delayMs}ms`
+      );
+    } else {
+      const backoffMs = Math.min(
+        this.config.restartMaxDelayMs,
+        this.config.restartDelayMs * 2 ** (this.consecutiveCrashes - 1)
+      );
+      // "Equal jitter": half fixed, half random, so restarts of several processes spread out.
+      delayMs = Math.round(backoffMs / 2 + Math.random() * (backoffMs / 2));
+      this.logger.warn(`[${this.tag}] restarting in ${delayMs}ms (crash ${this.consecutiveCrashes} in a row)`);
+    }
+
+    this.restarting = true;
+    this.restartTimer = setTimeout(async () => {
+      this.restartTimer = null;
+      this.metrics?.appServerRestarts.inc({ process: this.tag });
+      this.restartCount += 1;
+      try {
+        await this.ensureReady();
+        this.restarting = false;
+      } catch (error) {
+        this.#noteError(`restart failed: ${error.message}`);
+        this.logger.error(`[${this.tag}] restart failed: ${error.message}`);
+        this.#scheduleRestart();
+      } finally {
+        this.#notifyRestartAttempt();
+      }
+    }, delayMs);
+  }
+
+  #notifyRestartAttempt() {
+    for (const listener of [...this.restartListeners]) {
+      listener();
+    }
+  }
+
+  /**
+   * Waits out a pending restart before a turn uses the app-server. Fails fast
+   * with `overloaded_error` (and `retry-after`) while the circuit is open.
+   */
+  async #awaitRestart(signal) {
+    while (true) {
+      const openForMs = this.circuitOpenUntil - Date.now();
+      if (openForMs > 0) {
+        throw overloadedError(`Codex app-server keeps crashing; not retrying for ${Math.ceil(openForMs / 1000)}s.`, {
+          retryAfterSeconds: Math.ceil(openForMs / 1000)
+        });
+      }
+      if (!this.restarting || this.isStopping) {
+        return;
+      }
+
+      await new Promise((resolve, reject) => {
+        const done = () => {
+          this.restartListeners.delete(done);
+          signal?.removeEventListener("abort", onAbort);
+          resolve();
+        };
+        const onAbort = () => {
+          this.restartListeners.delete(done);
+          reject(signal.reason);
+        };
+        this.restartListeners.add(done);
+        signal?.addEventListener("abort", onAbort, { once: true });
+      });
+    }
+  }
+
   #handleLine(line) {
     const trimmed = line.trim();
     if (!trimmed) {
@@ -258,8 +749,8 @@ export class CodexAppServerClient {
     try {
       message = JSON.parse(trimmed);
     } catch {
-      this.logger.warn(`[codex] non-json line: ${trimmed}`);
-      this.#resetSession("json_parse_failure");
+      this.logger.warn(`[${this.tag}] non-json line: ${trimmed}`);
+      this.resetSession("json_parse_failure");
       return;
     }
 
@@ -279,16 +770,19 @@ export class CodexAppServerClient {
     }
 
     if (hasMethod) {
+      this.#trackItem(message);
+      this.#trackUsage(message);
       this.#emitNotification(message);
       return;
     }
 
-    this.logger.warn(`[codex] ignored message: ${trimmed}`);
+    this.logger.warn(`[${this.tag}] ignored message: ${trimmed}`);
   }
 
-  #resetSession(reason) {
-    this.logger.warn(`[codex] resetting session due to ${reason}`);
-    this.threadId = null;
+  /** Kills the app-server; its exit fails running turns and, with `autoRestart`, starts it again. */
+  resetSession(reason) {
+    this.logger.warn(`[${this.tag}] resetting session due to ${reason}`);
+    this.ready = false;
 
     if (this.child && !this.child.killed) {
       this.child.kill("SIGTERM");
@@ -305,7 +799,7 @@ export class CodexAppServerClient {
     this.pendingRequests.delete(message.id);
 
     if (Object.prototype.hasOwnProperty.call(message, "error")) {
-      pending.reject(new Error(messageFromJsonRpcError(message.error)));
+      pending.reject(classifyJsonRpcError(message.error, messageFromJsonRpcError(message.error)));
       return;
     }
 
@@ -318,20 +812,192 @@ export class CodexAppServerClient {
         listener(message);
       } catch (error) {
         const text = error instanceof Error ? error.message : String(error);
-        this.logger.warn(`[codex] notification listener error: ${text}`);
+        this.logger.warn(`[${this.tag}] notification listener error: ${text}`);
+      }
+    }
+  }
+
+  #trackItem(message) {
+    const item = message.params?.item;
+    if (!item?.id || (item.type !== "commandExecution" && item.type !== "fileChange")) {
+      return;
+    }
+
+    if (message.method === "item/started") {
+      this.inFlightItems.set(item.id, item);
+    } else if (message.method === "item/completed") {
+      this.inFlightItems.delete(item.id);
+      this.#recordItemAudit(message.params, item);
+    }
+  }
+
+  #trackUsage(message) {
+    if (!this.metrics || message.method !== "thread/tokenUsage/updated") {
+      return;
+    }
+
+    const turn = this.activeTurns.get(message.params?.threadId);
+    this.metrics.recordTokenUsage(turn?.model ?? "unknown", message.params?.tokenUsage?.last);
+  }
+
+  #recordAudit(entry, turn) {
+    this.audit?.record({
+      ...entry,
+      requestId: turn?.requestId ?? null,
+      threadId: entry.threadId ?? turn?.threadId ?? null,
+      turnId: entry.turnId ?? turn?.turnId ?? null,
+      model: turn?.model ?? null
+    });
+  }
+
+  #recordTurnEnded(turn) {
+    this.metrics?.turns.inc({ model: turn.model ?? "unknown", status: turn.status ?? "abandoned" });
+    this.#recordAudit({ type: "turn", event: "ended", status: turn.status ?? "abandoned", usage: turn.usage }, turn);
+  }
+
+  #recordItemAudit(params, item) {
+    const turn = this.activeTurns.get(params.threadId);
+    const ids = { threadId: params.threadId ?? null, turnId: params.turnId ?? null, itemId: item.id };
+
+    if (item.type === "commandExecution") {
+      this.#recordAudit(
+        {
+          type: "command",
+          ...ids,
+          command: item.command ?? null,
+          cwd: item.cwd ?? null,
+          exitCode: item.exitCode ?? null,
+          durationMs: item.durationMs ?? null,
+          status: item.status ?? null
+        },
+        turn
+      );
+      return;
+    }
+
+    this.#recordAudit(
+      {
+        type: "file_change",
+        ...ids,
+        status: item.status ?? null,
+        changes: (item.changes ?? []).map((change) => ({
+          path: change.path,
+          kind: change.kind?.type ?? change.kind ?? null,
+          diff: change.diff ?? null
+        }))
+      },
+      turn
+    );
+  }
+
+  async #decideApproval(approval) {
+    let autoApprove = this.config.autoApprove && !this.#requiresApprover(approval.threadId);
+    if (this.config.approvalPolicy) {
+      const turn = this.activeTurns.get(approval.threadId);
+      const log = turn ? this.#turnLogger(turn) : this.logger;
+      const verdict = evaluateApprovalPolicy(this.config.approvalPolicy, approval, {
+        workdir: this.#threadWorkdir(approval.threadId)
+      });
+      const matched = `${verdict.rule}${verdict.pattern ? ` (${JSON.stringify(verdict.pattern)})` : ""}`;
+      if (verdict.action === "deny") {
+        log.warn(`[approvals] denied ${describeApproval(approval)} by policy rule ${matched}`);
+        return { approved: false, reason: `Denied by policy rule ${matched}.`, decidedBy: "policy" };
+      }
+      if (verdict.action === "allow") {
+        log.info(`[approvals] allowed ${describeApproval(approval)} by policy rule ${matched}`);
+        return { approved: true, reason: null, decidedBy: "policy" };
+      }
+      // The policy could not see everything such a command runs; a person has to look at it.
+      if (verdict.unsafe && autoApprove) {
+        log.warn(`[approvals] not auto-approving ${describeApproval(approval)}: nested shell or unsafe syntax`);
+        autoApprove = false;
       }
     }
+
+    if (autoApprove) {
+      return { approved: true, reason: null, decidedBy: "auto" };
+    }
+
+    if (!this.approvals) {
+      return { approved: false, reason: "No approver is configured.", decidedBy: "gateway" };
+    }
+
+    return this.approvals.request(approval);
+  }
+
+  #countApproval(kind, { approved, decidedBy }) {
+    this.metrics?.approvalDecisions.inc({
+      kind,
+      decision: approved ? "approved" : "denied",
+      // "admin:<key label>" counts as "admin"; key labels would make one series per key.
+      decided_by: decidedBy.split(":")[0]
+    });
+  }
+
+  async #handleApprovalRequest(id, method, params) {
+    const approval = normalizeApprovalRequest(method, params, this.inFlightItems.get(params?.itemId));
+    let decision;
+    try {
+      decision = await this.#decideApproval(approval);
+    } catch (error) {
+      const text = error instanceof Error ? error.message : String(error);
+      decision = { approved: false, reason: text, decidedBy: "gateway" };
+    }
+
+    this.#countApproval(approval.kind, decision);
+    this.#recordAudit(
+      {
+        type: "approval",
+        threadId: approval.threadId,
+        turnId: approval.turnId,
+        kind: approval.kind,
+        description: describeApproval(approval),
+        command: approval.command ?? null,
+        paths: (approval.changes ?? []).map((change) => change.path),
+        approved: decision.approved,
+        decidedBy: decision.decidedBy,
+        reason: decision.reason ?? null
+      },
+      this.activeTurns.get(approval.threadId)
+    );
+
+    try {
+      this.#writeMessage({ jsonrpc: "2.0", id, result: toCodexDecision(method, decision.approved) });
+    } catch (error) {
+      const text = error instanceof Error ? error.message : String(error);
+      this.logger.warn(`[${this.tag}] could not deliver approval decision: ${text}`);
+    }
   }
 
   #handleServerRequest(message) {
     const { id, method, params } = message;
 
+    if (
+      isApprovalMethod(method) &&
+      (this.config.approvalPolicy || !this.config.autoApprove || this.#requiresApprover(params?.threadId))
+    ) {
+      this.#handleApprovalRequest(id, method, params);
+      return;
+    }
+
+    if (method === "item/tool/call") {
+      const turn = this.activeTurns.get(params?.threadId);
+      if (turn && !turn.done) {
+        // Answered later with the client's tool_result.
+        turn.addToolCall(id, params);
+        return;
+      }
+    }
+
     try {
       const result = this.#buildServerRequestResult(method, params);
+      if (isApprovalMethod(method)) {
+        this.#countApproval(normalizeApprovalRequest(method, params ?? {}).kind, { approved: true, decidedBy: "auto" });
+      }
       this.#writeMessage({ jsonrpc: "2.0", id, result });
     } catch (error) {
       const text = error instanceof Error ? error.message : String(error);
-      this.logger.warn(`[codex] failed to handle server request ${method}: ${text}`);
+      this.logger.warn(`[${this.tag}] failed to handle server request ${method}: ${text}`);
       this.#writeMessage({ jsonrpc: "2.0", id, error: makeServerRequestUnsupportedError(method) });
     }
   }
@@ -391,7 +1057,7 @@ export class CodexAppServerClient {
 
   #sendRequest(method, params) {
     if (!this.child || this.child.killed) {
-      throw new Error("Codex process is not running.");
+      throw appServerGoneError("Codex process is not running.");
     }
 
     const id = this.requestCounter++;
@@ -405,7 +1071,7 @@ export class CodexAppServerClient {
     return new Promise((resolve, reject) => {
       const timeoutId = setTimeout(() => {
         this.pendingRequests.delete(id);
-        reject(new Error(`Codex request timed out for method ${method}.`));
+        reject(timeoutError(`Codex request timed out for method ${method}.`));
       }, this.config.requestTimeoutMs);
 
       this.pendingRequests.set(id, { resolve, reject, timeoutId });
@@ -420,172 +1086,279 @@ export class CodexAppServerClient {
     });
   }
 
-  async #runTurn(inputText, timeoutMs, model) {
+  async #runTurn(inputText, timeoutMs, model, options) {
+    await this.#awaitRestart(options.signal);
     await this.ensureReady();
 
-    if (!this.threadId) {
-      throw new Error("No active thread id.");
+    const {
+      tools = [],
+      toolResults = [],
+      images = [],
+      effort = null,
+      reasoningSummary = false,
+      sandbox = null,
+      approvalPolicy = null,
+      workspace = null,
+      onDelta,
+      onReasoningDelta,
+      conversation = {},
+      keepThread = true,
+      limiter = null,
+      signal,
+      requestId = null
+    } = options;
+    signal?.throwIfAborted();
+
+    const suspendedTurn = this.#findSuspendedTurn(toolResults);
+    if (suspendedTurn) {
+      for (const toolResult of toolResults) {
+        suspendedTurn.resolveToolCall(toolResult.toolUseId, toolResult);
+      }
+      suspendedTurn.rejectPendingToolCalls("No tool_result was provided for this tool call.");
+      suspendedTurn.requestId = requestId;
+      this.router.reacquire(suspendedTurn.threadId);
+      return this.#attachTurn(suspendedTurn, { timeoutMs, onDelta, onReasoningDelta, limiter, conversation, signal });
+    }
+
+    const log = childLogger(this.logger, { requestId });
+    const scope = conversation.scope ?? "default";
+    const settingsKey = fingerprintThreadSettings({ tools, sandbox, approvalPolicy, workspace });
+    const route = this.router.acquire({ scope, fingerprint: conversation.resumeFingerprint, settingsKey });
+
+    let threadId;
+    let input = inputText;
+    let inputImages = images;
+    if (route) {
+      threadId = route.threadId;
+      input = conversation.resumeInput ?? inputText;
+      inputImages = conversation.resumeImages ?? [];
+      log.info(`[${this.tag}] continuing thread=${threadId} scope=${scope}`);
+    } else {
+      const defaultSettings = tools.length === 0 && !sandbox && !approvalPolicy && !workspace;
+      if (defaultSettings && this.spareThreadId) {
+        threadId = this.spareThreadId;
+        this.spareThreadId = null;
+      } else {
+        threadId = await this.#startThread({
+          ...(tools.length > 0 ? { dynamicTools: tools } : {}),
+          ...(sandbox ? { sandbox } : {}),
+          ...(approvalPolicy ? { approvalPolicy } : {}),
+          ...(workspace ? { cwd: this.#workdirFor(workspace) } : {})
+        });
+      }
+      this.router.add({ threadId, scope, settingsKey, settings: { tools, sandbox, approvalPolicy, workspace } });
+      log.info(
+        `[${this.tag}] started thread=${threadId} scope=${scope} workspace=${workspace ?? "-"} tools=${tools.length} sandbox=${sandbox ?? this.config.sandboxMode} approval=${approvalPolicy ?? defaultApprovalPolicy(this.config)}`
+      );
+    }
+
+    const staleTurn = this.activeTurns.get(threadId);
+    if (staleTurn) {
+      await this.#abandonTurn(staleTurn, "Superseded by a new request.");
+    }
+
+    let imageInputs = null;
+    try {
+      imageInputs = inputImages.length > 0 ? await writeTurnImages(this.config.stateDir, inputImages) : null;
+    } catch (error) {
+      this.#forgetThread(threadId);
+      throw error;
     }
 
-    const threadId = this.threadId;
-    const turnWaiter = this.#createTurnWaiter(threadId, timeoutMs);
+    const turn = new CodexTurn({
+      threadId,
+      onNotification: (listener) => this.onNotification(listener),
+      replyToServerRequest: (id, result) => this.#writeMessage({ jsonrpc: "2.0", id, result }),
+      suspendTimeoutMs: this.config.toolResultTimeoutMs,
+      onSuspendTimeout: (expiredTurn) => {
+        this.#inBackground(expiredTurn, this.#abandonTurn(expiredTurn, "Timed out waiting for the client's tool_result."));
+      },
+      // Codex reads the image files while the turn runs; remove them once it is over.
+      onDispose: imageInputs?.cleanup
+    });
+    turn.requestId = requestId;
+    turn.model = model;
+    this.activeTurns.set(threadId, turn);
 
-    let turnStartResponse;
     try {
       const turnStartParams = {
         threadId,
         input: [
           {
             type: "text",
-            text: inputText,
+            text: input,
             text_elements: []
-          }
+          },
+          ...(imageInputs?.items ?? [])
         ]
       };
 
       if (typeof model === "string" && model.trim()) {
         turnStartParams.model = model.trim();
       }
+      if (effort) {
+        turnStartParams.effort = effort;
+      }
+      if (reasoningSummary) {
+        turnStartParams.summary = "auto";
+      }
 
-      turnStartResponse = await this.#sendRequest("turn/start", turnStartParams);
+      const turnStartResponse = await this.#sendRequest("turn/start", turnStartParams);
 
       const turnId = turnStartResponse?.turn?.id;
       if (turnId) {
-        turnWaiter.setTurnId(turnId);
+        turn.setTurnId(turnId);
       }
-
-      return await turnWaiter.promise;
-    } finally {
-      turnWaiter.dispose();
+      log.info(`[${this.tag}] started turn=${turnId ?? "unknown"} thread=${threadId} model=${model}`);
+      this.#recordAudit({ type: "turn", event: "started" }, turn);
+    } catch (error) {
+      this.#releaseTurn(turn);
+      this.#forgetThread(threadId);
+      throw error;
     }
-  }
-
-  #createTurnWaiter(threadId, timeoutMs) {
-    let turnId = null;
-    let latestAgentMessage = "";
-    let aggregatedAgentDeltas = "";
-    let usage = null;
-    let settled = false;
 
-    let resolvePromise;
-    let rejectPromise;
-
-    const promise = new Promise((resolve, reject) => {
-      resolvePromise = resolve;
-      rejectPromise = reject;
-    });
+    return this.#attachTurn(turn, { timeoutMs, onDelta, onReasoningDelta, limiter, conversation, keepThread, signal });
+  }
 
-    const finish = (handler) => {
-      if (settled) {
-        return;
-      }
-      settled = true;
-      clearTimeout(timeoutId);
-      off();
-      handler();
+  async #attachTurn(turn, { timeoutMs, onDelta, onReasoningDelta, limiter, conversation, keepThread = true, signal }) {
+    const onAbort = () => {
+      this.#turnLogger(turn).warn(`[${this.tag}] cancelled turn=${turn.turnId ?? "pending"} thread=${turn.threadId}: client disconnected`);
+      // Reject right away so the pool slot frees up; the interrupt is sent in the background.
+      turn.fail(signal.reason);
+      this.#inBackground(turn, this.#abandonTurn(turn, "The client cancelled the request."));
     };
+    const pending = turn.attach({ timeoutMs, onDelta, onReasoningDelta, limiter });
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener("abort", onAbort, { once: true });
+    }
 
-    const notificationHandler = (message) => {
-      const method = message.method;
-      const params = message.params ?? {};
-
-      if (method === "item/agentMessage/delta" && params.threadId === threadId) {
-        if (!turnId || params.turnId === turnId) {
-          if (!turnId && params.turnId) {
-            turnId = params.turnId;
-          }
-          aggregatedAgentDeltas += typeof params.delta === "string" ? params.delta : "";
+    try {
+      const result = await pending;
+      this.consecutiveCrashes = 0;
+      const settleThread = () => {
+        if (keepThread) {
+          this.router.release(turn.threadId, conversation.fingerprintAfter?.(result));
+          this.#saveThread(turn.threadId);
+        } else {
+          this.#forgetThread(turn.threadId);
         }
-        return;
+      };
+      if (turn.stoppedAtLimit) {
+        // The client has its answer; stop Codex before the thread takes the next turn.
+        this.#turnLogger(turn).info(`[${this.tag}] stopping turn=${turn.turnId ?? "pending"} at ${result.stopReason}`);
+        try {
+          turn.rejectPendingToolCalls(`The response reached ${result.stopReason}.`);
+        } catch {
+          // The app-server is gone; the turn is over anyway.
+        }
+        // Return right away; the thread stays busy until the interrupt, sent in the background, has ended the turn.
+        this.#inBackground(turn, this.#interruptTurn(turn).then(settleThread));
+        return result;
+      }
+      settleThread();
+      return result;
+    } catch (error) {
+      if (error?.type === "timeout_error") {
+        this.metrics?.turnTimeouts.inc({ model: turn.model ?? "unknown" });
+      }
+      if (!(error instanceof ClientDisconnectedError)) {
+        this.#noteError(error instanceof Error ? error.message : String(error));
       }
+      this.#forgetThread(turn.threadId);
+      if (!turn.done) {
+        await this.#abandonTurn(turn, error instanceof Error ? error.message : String(error));
+      }
+      throw error;
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+      if (turn.done) {
+        this.#releaseTurn(turn);
+      }
+    }
+  }
 
-      if (method === "item/completed" && params.threadId === threadId) {
-        if (!turnId || params.turnId === turnId) {
-          if (!turnId && params.turnId) {
-            turnId = params.turnId;
-          }
+  #noteError(message) {
+    this.lastError = { message, at: new Date().toISOString() };
+  }
 
-          if (params.item?.type === "agentMessage" && typeof params.item.text === "string") {
-            latestAgentMessage = params.item.text;
-          }
-        }
-        return;
-      }
+  #turnLogger(turn) {
+    return childLogger(this.logger, { requestId: turn.requestId, threadId: turn.threadId, turnId: turn.turnId });
+  }
 
-      if (method === "thread/tokenUsage/updated" && params.threadId === threadId) {
-        if (!turnId || params.turnId === turnId) {
-          if (!turnId && params.turnId) {
-            turnId = params.turnId;
-          }
-          usage = {
-            inputTokens: params?.tokenUsage?.last?.inputTokens ?? 0,
-            outputTokens: params?.tokenUsage?.last?.outputTokens ?? 0
-          };
-        }
-        return;
+  #findSuspendedTurn(toolResults) {
+    if (toolResults.length === 0) {
+      return null;
+    }
+
+    for (const turn of this.activeTurns.values()) {
+      if (turn.isSuspended && toolResults.some((toolResult) => turn.hasToolCall(toolResult.toolUseId))) {
+        return turn;
       }
+    }
+
+    return null;
+  }
 
-      if (method === "error" && params.threadId === threadId) {
-        if (!turnId || params.turnId === turnId) {
-          if (!turnId && params.turnId) {
-            turnId = params.turnId;
-          }
+  #releaseTurn(turn) {
+    if (this.activeTurns.get(turn.threadId) === turn) {
+      this.activeTurns.delete(turn.threadId);
+      this.#recordTurnEnded(turn);
+    }
+    turn.dispose();
+    this.approvals?.denyThread(turn.threadId, "The turn is no longer running.");
+  }
 
-          if (!params.willRetry) {
-            finish(() => {
-              const messageText = params?.error?.message ?? "Turn failed.";
-              rejectPromise(new Error(messageText));
-            });
-          }
-        }
-        return;
-      }
+  /** Nobody awaits `promise`; log its failure rather than leave an unhandled rejection. */
+  #inBackground(turn, promise) {
+    promise.catch((error) => {
+      const text = error instanceof Error ? error.message : String(error);
+      this.#turnLogger(turn).error(`[${this.tag}] background cleanup failed for turn=${turn.turnId ?? "pending"}: ${text}`);
+    });
+  }
 
-      if (method === "turn/completed" && params.threadId === threadId) {
-        if (!turnId || params.turn?.id === turnId) {
-          if (!turnId && params.turn?.id) {
-            turnId = params.turn.id;
-          }
-
-          const status = params?.turn?.status;
-          if (status === "completed") {
-            finish(() => {
-              resolvePromise({
-                text: latestAgentMessage || aggregatedAgentDeltas,
-                usage
-              });
-            });
-            return;
-          }
-
-          finish(() => {
-            const details = params?.turn?.error?.message || "turn did not complete";
-            rejectPromise(new Error(`Turn ${status ?? "unknown"}: ${details}`));
-          });
-        }
-      }
-    };
+  async #abandonTurn(turn, reason) {
+    this.#turnLogger(turn).warn(`[${this.tag}] abandoning turn=${turn.turnId ?? "pending"} thread=${turn.threadId}: ${reason}`);
+    try {
+      turn.rejectPendingToolCalls(reason);
+    } catch {
+      // The app-server is gone; there is nobody left to answer.
+    }
+    this.#releaseTurn(turn);
+    await this.#interruptTurn(turn);
+  }
 
-    const off = this.onNotification(notificationHandler);
+  async #interruptTurn(turn) {
+    if (!turn.turnId) {
+      return;
+    }
 
-    const timeoutId = setTimeout(() => {
-      finish(() => {
-        rejectPromise(new Error(`Turn timed out after ${timeoutMs}ms.`));
-      });
-    }, timeoutMs);
+    // Wait for the interrupted turn to end so its notifications cannot leak into the next turn.
+    const ended = this.#waitForTurnEnd(turn.threadId, turn.turnId, TURN_INTERRUPT_GRACE_MS);
+    try {
+      await this.#sendRequest("turn/interrupt", { threadId: turn.threadId, turnId: turn.turnId });
+      await ended;
+    } catch (error) {
+      const text = error instanceof Error ? error.message : String(error);
+      this.#turnLogger(turn).warn(`[${this.tag}] turn/interrupt failed: ${text}`);
+    }
+  }
 
-    return {
-      setTurnId(value) {
-        turnId = value;
-      },
-      promise,
-      dispose() {
-        if (!settled) {
-          clearTimeout(timeoutId);
-          off();
-          settled = true;
+  #waitForTurnEnd(threadId, turnId, timeoutMs) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timeoutId);
+        off();
+        resolve();
+      };
+      const timeoutId = setTimeout(done, timeoutMs);
+      const off = this.onNotification((message) => {
+        const params = message.params ?? {};
+        if (message.method === "turn/completed" && params.threadId === threadId && params.turn?.id === turnId) {
+          done();
         }
-      }
-    };
+      });
+    });
   }
 }
@@ -0,0 +1,119 @@
+import { HttpError } from "./errors.js";
+
+// Used when Codex reports a rate limit without saying when it resets.
+const DEFAULT_RETRY_AFTER_SECONDS = 30;
+
+const DURATION_UNITS = { d: 86_400, day: 86_400, h: 3_600, hr: 3_600, hour: 3_600, m: 60, min: 60, minute: 60, s: 1, sec: 1, second: 1 };
+
+/**
+ * Reads "try again in 2 hours 5 minutes" style hints from Codex messages.
+ * Returns whole seconds, or null when the message has no duration.
+ */
+export function parseRetryAfterSeconds(message) {
+  const hint = /(?:try again|retry|resets?)\s+(?:in|after)\s+((?:[^.;]|\.\d)+)/i.exec(message ?? "");
+  if (!hint) {
+    return null;
+  }
+
+  let seconds = 0;
+  for (const [, amount, unit] of hint[1].matchAll(/(\d+(?:\.\d+)?)\s*(day|hour|hr|h|minute|min|m|second|sec|s|d)s?\b/gi)) {
+    seconds += Number(amount) * DURATION_UNITS[unit.toLowerCase()];
+  }
+  return seconds > 0 ? Math.ceil(seconds) : null;
+}
+
+export function rateLimitError(message) {
+  return new HttpError(429, message, "rate_limit_error", {
+    retryAfterSeconds: parseRetryAfterSeconds(message) ?? DEFAULT_RETRY_AFTER_SECONDS
+  });
+}
+
+export function overloadedError(message, options = {}) {
+  return new HttpError(529, message, "overloaded_error", options);
+}
+
+export function timeoutError(message) {
+  return new HttpError(504, message, "timeout_error");
+}
+
+function contextOverflowError(message) {
+  // Claude Code recognizes overflow by this prefix and compacts instead of retrying.
+  return new HttpError(400, `prompt is too long: ${message}`, "invalid_request_error");
+}
+
+function fromHttpStatus(statusCode, message) {
+  if (statusCode === 429) {
+    return rateLimitError(message);
+  }
+  if (statusCode === 401 || statusCode === 403) {
+    return new HttpError(401, message, "authentication_error");
+  }
+  if (statusCode === 400) {
+    return new HttpError(400, message, "invalid_request_error");
+  }
+  return overloadedError(message);
+}
+
+// `codexErrorInfo` is a bare string for unit variants and `{ variant: { ... } }` otherwise.
+function readErrorInfo(codexErrorInfo) {
+  if (typeof codexErrorInfo === "string") {
+    return { kind: codexErrorInfo, httpStatusCode: null };
+  }
+
+  if (codexErrorInfo && typeof codexErrorInfo === "object") {
+    const [kind, details] = Object.entries(codexErrorInfo)[0] ?? [];
+    return { kind: kind ?? null, httpStatusCode: details?.httpStatusCode ?? null };
+  }
+
+  return { kind: null, httpStatusCode: null };
+}
+
+function fromMessage(message) {
+  if (/usage limit|rate limit|too many requests|quota/i.test(message)) {
+    return rateLimitError(message);
+  }
+  if (/context window|context length|maximum context|too many tokens|prompt is too long/i.test(message)) {
+    return contextOverflowError(message);
+  }
+  if (/unauthori[sz]ed|not logged in|log ?in again|token (?:has )?expired|invalid api key|authentication/i.test(message)) {
+    return new HttpError(401, message, "authentication_error");
+  }
+  if (/overloaded|temporarily unavailable|service unavailable/i.test(message)) {
+    return overloadedError(message);
+  }
+  return null;
+}
+
+/**
+ * Maps a Codex turn error (`{ message, codexErrorInfo }` from an `error`
+ * notification or a failed `turn/completed`) onto the Anthropic error taxonomy.
+ */
+export function classifyCodexError(error) {
+  const message = typeof error?.message === "string" && error.message ? error.message : "Codex turn failed.";
+  const { kind, httpStatusCode } = readErrorInfo(error?.codexErrorInfo);
+
+  switch (kind) {
+    case "usageLimitExceeded":
+      return rateLimitError(message);
+    case "contextWindowExceeded":
+      return contextOverflowError(message);
+    case "unauthorized":
+      return new HttpError(401, message, "authentication_error");
+    case "badRequest":
+      return new HttpError(400, message, "invalid_request_error");
+    case "internalServerError":
+      return new HttpError(500, message, "api_error");
+    case "httpConnectionFailed":
+    case "responseStreamConnectionFailed":
+    case "responseStreamDisconnected":
+    case "responseTooManyFailedAttempts":
+      return fromHttpStatus(httpStatusCode, message);
+    default:
+      return fromMessage(message) ?? new HttpError(502, message, "api_error");
+  }
+}
+
+/** Maps a JSON-RPC error response from the app-server. */
+export function classifyJsonRpcError(error, message) {
+  return classifyCodexError({ message, codexErrorInfo: error?.data?.codexErrorInfo });
+}
@@ -0,0 +1,167 @@
+import { CodexAppServerClient } from "./codex-client.js";
+import { overloadedError } from "./codex-errors.js";
+import { childLogger } from "./logger.js";
+import { TurnScheduler } from "./turn-scheduler.js";
+
+/**
+ * Runs turns across one or more Codex app-server processes.
+ *
+ * Each process runs up to `turnsPerProcess` turns at once, on separate threads.
+ * Turns that continue a conversation go to the process holding its thread; new
+ * conversations go to the least busy process.
+ */
+export class CodexPool {
+  constructor(config, logger = console, { approvals = null, audit = null, metrics = null, threadStore = null } = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.threadStore = threadStore;
+
+    const processCount = Math.max(1, config.codexProcesses);
+    this.turnsPerProcess = Math.max(1, config.turnsPerProcess);
+    this.clients = Array.from(
+      { length: processCount },
+      (_, index) =>
+        new CodexAppServerClient(config, logger, {
+          index: processCount > 1 ? index + 1 : null,
+          approvals,
+          audit,
+          metrics,
+          threadStore
+        })
+    );
+    this.load = new Map(this.clients.map((client) => [client, 0]));
+    this.scheduler = new TurnScheduler({
+      maxConcurrent: processCount * this.turnsPerProcess,
+      modelConcurrency: config.modelConcurrency
+    });
+  }
+
+  async ensureReady() {
+    const moved = this.threadStore?.reassign(this.clients.map((client) => client.tag)) ?? 0;
+    if (moved > 0) {
+      this.logger.info(`[threads] moved ${moved} saved threads from app-servers that no longer run`);
+    }
+    await Promise.all(this.clients.map((client) => client.ensureReady()));
+  }
+
+  async stop() {
+    await Promise.all(this.clients.map((client) => client.stop()));
+    this.threadStore?.flush();
+  }
+
+  /** Same contract as `CodexAppServerClient#runTurn`, but waits for a free slot first. */
+  async queueTurn(inputText, timeoutMs, model, options = {}) {
+    const stats = this.scheduler.stats();
+    if (stats.running >= stats.maxConcurrent) {
+      childLogger(this.logger, { requestId: options.requestId }).info(
+        `[gateway] turn queued model=${model} running=${stats.running} queued=${stats.queued + 1}`
+      );
+    }
+
+    const enqueuedAt = Date.now();
+    return this.scheduler.run({
+      model,
+      lane: options.conversation?.scope ?? "default",
+      signal: options.signal,
+      pickSlot: () => this.#reserveClient(options),
+      execute: async (client) => {
+        this.metrics?.queueWait.observe({ model }, (Date.now() - enqueuedAt) / 1000);
+        try {
+          return await client.runTurn(inputText, timeoutMs, model, options);
+        } finally {
+          this.load.set(client, this.load.get(client) - 1);
+        }
+      }
+    });
+  }
+
+  /** Whether some app-server would continue this request on a thread it already holds. */
+  ownsConversation(options) {
+    return this.clients.some((client) => client.ownsConversation(options));
+  }
+
+  stats() {
+    return {
+      processes: this.clients.length,
+      turnsPerProcess: this.turnsPerProcess,
+      ...this.scheduler.stats()
+    };
+  }
+
+  /** Not-ready reasons per app-server; empty when every process can take turns. */
+  notReadyReasons() {
+    return this.clients
+      .map((client) => ({ process: client.tag, reason: client.notReadyReason() }))
+      .filter((entry) => entry.reason !== null);
+  }
+
+  status() {
+    return this.clients.map((client) => client.status());
+  }
+
+  /** Restarts every app-server, or only the one tagged `processTag` (e.g. `codex#2`); returns the tags. */
+  async restart(processTag = null, reason = "admin request") {
+    const clients = this.clients.filter((client) => processTag === null || client.tag === processTag);
+    await Promise.all(clients.map((client) => client.restart(reason)));
+    return clients.map((client) => client.tag);
+  }
+
+  /** Cancels a thread's turn and forgets the thread; false when no app-server knows it. */
+  async resetThread(threadId, reason = "Thread reset by an administrator.") {
+    const results = await Promise.all(this.clients.map((client) => client.resetThread(threadId, reason)));
+    return results.some(Boolean);
+  }
+
+  /** Fails every turn still waiting for a slot with `overloaded_error`; returns how many. */
+  drain() {
+    return this.scheduler.drain(overloadedError("The turn queue was drained by an administrator."));
+  }
+
+  /** Running turns per app-server, and turns waiting for a slot. */
+  turns() {
+    return {
+      running: this.clients.flatMap((client) =>
+        client.inFlightTurns().map((turn) => ({ process: client.tag, ...turn }))
+      ),
+      queued: this.scheduler.queued()
+    };
+  }
+
+  /** The default workdir and each configured workspace, with the threads they hold. */
+  workspaces() {
+    const threads = this.clients.flatMap((client) => client.status().threads);
+    const entries = [[null, this.config.workdir], ...Object.entries(this.config.workspaces ?? {})];
+    return entries.map(([name, workdir]) => {
+      const held = threads.filter((thread) => thread.workspace === name);
+      return {
+        name,
+        workdir,
+        threads: held.length,
+        busyThreads: held.filter((thread) => thread.busy).length,
+        lastUsedAt: held.map((thread) => thread.lastUsedAt).sort().at(-1) ?? null
+      };
+    });
+  }
+
+  #reserveClient(options) {
+    const hasCapacity = (client) => this.load.get(client) < this.turnsPerProcess;
+
+    let client = this.clients.find((candidate) => candidate.ownsConversation(options));
+    if (client) {
+      if (!hasCapacity(client)) {
+        return null;
+      }
+    } else {
+      client = this.clients
+        .filter(hasCapacity)
+        .sort((left, right) => this.load.get(left) - this.load.get(right))[0];
+      if (!client) {
+        return null;
+      }
+    }
+
+    this.load.set(client, this.load.get(client) + 1);
+    return client;
+  }
+}
@@ -0,0 +1,376 @@
+import { randomUUID } from "node:crypto";
+import { classifyCodexError, timeoutError } from "./codex-errors.js";
+
+// Parallel dynamic tool calls arrive back to back; answer them in one HTTP response.
+const TOOL_CALL_BATCH_MS = 25;
+
+function createToolUseId() {
+  return `toolu_${randomUUID().replace(/-/g, "")}`;
+}
+
+/**
+ * Tracks one Codex turn across HTTP requests.
+ *
+ * A turn runs in segments: each `attach()` call collects agent output until the
+ * turn completes or Codex calls a client-defined dynamic tool. In the latter case
+ * the segment resolves with `toolCalls`, the turn stays suspended on the pending
+ * `item/tool/call` requests, and the next `attach()` (after `resolveToolCall()`)
+ * continues where it left off.
+ */
+export class CodexTurn {
+  constructor({ threadId, onNotification, replyToServerRequest, suspendTimeoutMs, onSuspendTimeout, onDispose }) {
+    this.threadId = threadId;
+    this.turnId = null;
+    this.startedAt = Date.now();
+    this.usage = null;
+    this.done = false;
+    // Codex turn status once known: "completed", "failed", "interrupted", ...
+    this.status = null;
+    // Set when the response hit max_tokens or a stop sequence before Codex finished.
+    this.stoppedAtLimit = false;
+
+    this.replyToServerRequest = replyToServerRequest;
+    this.suspendTimeoutMs = suspendTimeoutMs;
+    this.onSuspendTimeout = onSuspendTimeout;
+    // Runs once, when the turn is disposed (e.g. to remove its image files).
+    this.onDispose = onDispose;
+
+    this.segment = null;
+    this.outcome = null;
+    this.bufferedText = "";
+    this.bufferedReasoning = "";
+    this.lastDeltaItemId = null;
+    this.lastReasoningPart = null;
+    this.pendingToolCalls = new Map();
+    this.unreportedToolCalls = [];
+    this.batchTimer = null;
+    this.suspendTimer = null;
+
+    this.off = onNotification((message) => this.#handleNotification(message));
+  }
+
+  setTurnId(turnId) {
+    this.turnId = turnId;
+  }
+
+  /** Waiting for the next `attach()`: for tool results, or to hand over an outcome that arrived meanwhile. */
+  get isSuspended() {
+    return !this.segment && (!this.done || this.outcome !== null);
+  }
+
+  hasToolCall(toolUseId) {
+    return this.pendingToolCalls.has(toolUseId);
+  }
+
+  /**
+   * Waits for the next stop point of the turn. `onDelta(text)` receives agent
+   * message text as it streams in, `onReasoningDelta(text)` reasoning summary text.
+   * With an `OutputLimiter`, the segment also stops once the text reaches the
+   * response's `max_tokens` or a stop sequence; the caller then interrupts the turn.
+   */
+  attach({ timeoutMs, onDelta, onReasoningDelta, limiter = null } = {}) {
+    if (this.segment) {
+      return Promise.reject(new Error("Turn already has an attached request."));
+    }
+
+    clearTimeout(this.suspendTimer);
+    this.suspendTimer = null;
+
+    return new Promise((resolve, reject) => {
+      const segment = {
+        resolve,
+        reject,
+        onDelta,
+        onReasoningDelta,
+        limiter,
+        text: "",
+        reasoning: "",
+        latestAgentMessage: "",
+        timeoutId: setTimeout(() => {
+          this.#settleSegment(() => reject(timeoutError(`Turn timed out after ${timeoutMs}ms.`)));
+        }, timeoutMs)
+      };
+      this.segment = segment;
+
+      if (this.bufferedReasoning) {
+        this.#appendReasoning(this.bufferedReasoning);
+        this.bufferedReasoning = "";
+      }
+      if (this.bufferedText) {
+        this.#appendText(this.bufferedText);
+        this.bufferedText = "";
+      }
+
+      if (this.outcome) {
+        const outcome = this.outcome;
+        this.outcome = null;
+        this.#settleSegment(outcome);
+        return;
+      }
+
+      if (this.unreportedToolCalls.length > 0) {
+        this.#flushToolCalls();
+      }
+    });
+  }
+
+  /** Registers an `item/tool/call` server request that belongs to this turn. */
+  addToolCall(requestId, params) {
+    const toolCall = {
+      id: createToolUseId(),
+      requestId,
+      callId: params?.callId ?? null,
+      name: params?.tool ?? "unknown",
+      input: params?.arguments ?? {}
+    };
+
+    this.pendingToolCalls.set(toolCall.id, toolCall);
+    this.unreportedToolCalls.push(toolCall);
+
+    if (this.segment && !this.batchTimer) {
+      this.batchTimer = setTimeout(() => {
+        this.batchTimer = null;
+        this.#flushToolCalls();
+      }, TOOL_CALL_BATCH_MS);
+    }
+  }
+
+  /** Answers the pending Codex tool call with the client's tool_result. */
+  resolveToolCall(toolUseId, { isError = false, content = [] } = {}) {
+    const toolCall = this.pendingToolCalls.get(toolUseId);
+    if (!toolCall) {
+      return false;
+    }
+
+    this.pendingToolCalls.delete(toolUseId);
+    this.replyToServerRequest(toolCall.requestId, {
+      success: !isError,
+      contentItems: content.length > 0 ? content : [{ type: "inputText", text: isError ? "Tool failed." : "" }]
+    });
+    return true;
+  }
+
+  /** Fails every tool call the client never answered. */
+  rejectPendingToolCalls(reason) {
+    for (const toolUseId of [...this.pendingToolCalls.keys()]) {
+      this.resolveToolCall(toolUseId, {
+        isError: true,
+        content: [{ type: "inputText", text: reason }]
+      });
+    }
+    this.unreportedToolCalls = [];
+  }
+
+  fail(error) {
+    this.status ??= "failed";
+    this.#complete(() => this.segment?.reject(error), error);
+  }
+
+  dispose() {
+    this.#runOnDispose();
+    this.done = true;
+    this.outcome = null;
+    clearTimeout(this.batchTimer);
+    clearTimeout(this.suspendTimer);
+    if (this.segment) {
+      clearTimeout(this.segment.timeoutId);
+      this.segment = null;
+    }
+    this.off();
+  }
+
+  #runOnDispose() {
+    if (this.onDispose) {
+      const onDispose = this.onDispose;
+      this.onDispose = null;
+      onDispose();
+    }
+  }
+
+  #matches(params, turnId) {
+    if (params.threadId !== this.threadId) {
+      return false;
+    }
+
+    if (!this.turnId || turnId === this.turnId) {
+      if (!this.turnId && turnId) {
+        this.turnId = turnId;
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  #handleNotification(message) {
+    const method = message.method;
+    const params = message.params ?? {};
+
+    if (method === "item/agentMessage/delta" && this.#matches(params, params.turnId)) {
+      let delta = typeof params.delta === "string" ? params.delta : "";
+      if (delta && this.lastDeltaItemId && params.itemId && params.itemId !== this.lastDeltaItemId) {
+        // Separate consecutive agent messages the same way the client would render them.
+        delta = `\n\n${delta}`;
+      }
+      this.lastDeltaItemId = params.itemId ?? this.lastDeltaItemId;
+      if (this.segment) {
+        this.#appendText(delta);
+      } else {
+        this.bufferedText += delta;
+      }
+      return;
+    }
+
+    if (method === "item/reasoning/summaryTextDelta" && this.#matches(params, params.turnId)) {
+      let delta = typeof params.delta === "string" ? params.delta : "";
+      const part = `${params.itemId}:${params.summaryIndex ?? 0}`;
+      if (delta && this.lastReasoningPart && part !== this.lastReasoningPart) {
+        // Each summary part is its own paragraph.
+        delta = `\n\n${delta}`;
+      }
+      this.lastReasoningPart = part;
+      if (this.segment) {
+        this.#appendReasoning(delta);
+      } else {
+        this.bufferedReasoning += delta;
+      }
+      return;
+    }
+
+    if (method === "item/completed" && this.#matches(params, params.turnId)) {
+      if (this.segment && params.item?.type === "agentMessage" && typeof params.item.text === "string") {
+        this.segment.latestAgentMessage = params.item.text;
+      }
+      return;
+    }
+
+    if (method === "thread/tokenUsage/updated" && this.#matches(params, params.turnId)) {
+      this.usage = {
+        inputTokens: params?.tokenUsage?.last?.inputTokens ?? 0,
+        outputTokens: params?.tokenUsage?.last?.outputTokens ?? 0
+      };
+      return;
+    }
+
+    if (method === "error" && this.#matches(params, params.turnId)) {
+      if (!params.willRetry) {
+        this.fail(classifyCodexError(params.error));
+      }
+      return;
+    }
+
+    if (method === "turn/completed" && this.#matches(params, params.turn?.id)) {
+      const status = params?.turn?.status;
+      this.status = status ?? "unknown";
+      if (status === "completed") {
+        this.#complete(() => this.segment?.resolve(this.#segmentResult([])));
+        return;
+      }
+
+      const details = params?.turn?.error?.message || "turn did not complete";
+      this.fail(
+        classifyCodexError({
+          message: `Turn ${status ?? "unknown"}: ${details}`,
+          codexErrorInfo: params?.turn?.error?.codexErrorInfo
+        })
+      );
+    }
+  }
+
+  #appendText(delta) {
+    const { limiter } = this.segment;
+    const text = limiter ? limiter.push(delta) : delta;
+    if (text) {
+      this.segment.text += text;
+      this.segment.onDelta?.(text);
+    }
+
+    // Still running in Codex: end the segment here and let the caller interrupt the turn.
+    if (limiter?.stopReason && !this.done) {
+      this.status = "interrupted";
+      this.stoppedAtLimit = true;
+      this.#complete(() => this.segment.resolve(this.#segmentResult([])));
+    }
+  }
+
+  #appendReasoning(delta) {
+    if (!delta) {
+      return;
+    }
+
+    this.segment.reasoning += delta;
+    if (this.segment.onReasoningDelta) {
+      this.segment.onReasoningDelta(delta);
+    }
+  }
+
+  #segmentResult(toolCalls) {
+    const { limiter } = this.segment;
+    // Text held back as a possible stop sequence start turned out not to be one.
+    const held = limiter?.flush();
+    if (held) {
+      this.segment.text += held;
+      this.segment.onDelta?.(held);
+    }
+
+    const cut = toolCalls.length > 0 || Boolean(limiter?.stopReason);
+    return {
+      text: cut ? this.segment.text : this.segment.latestAgentMessage || this.segment.text,
+      // Every agent message, as `onDelta` delivered it to a streaming client.
+      streamedText: this.segment.text,
+      reasoning: this.segment.reasoning,
+      usage: this.usage,
+      toolCalls: toolCalls.map(({ id, name, input }) => ({ id, name, input })),
+      stopReason: limiter?.stopReason ?? null,
+      stopSequence: limiter?.stopSequence ?? null
+    };
+  }
+
+  #flushToolCalls() {
+    if (!this.segment || this.unreportedToolCalls.length === 0) {
+      return;
+    }
+
+    const toolCalls = this.unreportedToolCalls;
+    this.unreportedToolCalls = [];
+    const result = this.#segmentResult(toolCalls);
+    this.#settleSegment(() => this.segment.resolve(result));
+
+    this.suspendTimer = setTimeout(() => {
+      this.suspendTimer = null;
+      this.onSuspendTimeout?.(this);
+    }, this.suspendTimeoutMs);
+  }
+
+  #complete(settle, error) {
+    if (this.done) {
+      return;
+    }
+
+    if (!this.segment) {
+      // Nobody is attached; keep the outcome for the next attach(). The suspend
+      // timeout still disposes the turn if that never comes.
+      this.outcome = error ? () => this.segment.reject(error) : () => this.segment.resolve(this.#segmentResult([]));
+      this.done = true;
+      this.off();
+      // Codex is done reading the turn's images.
+      this.#runOnDispose();
+      return;
+    }
+
+    this.#settleSegment(settle);
+    this.dispose();
+  }
+
+  #settleSegment(settle) {
+    if (!this.segment) {
+      return;
+    }
+
+    clearTimeout(this.segment.timeoutId);
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+    settle();
+    this.segment = null;
+  }
+}
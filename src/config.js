@@ -1,5 +1,11 @@
+import fs from "node:fs";
+import os from "node:os";
 import path from "node:path";
 import process from "node:process";
+import { loadApprovalPolicy } from "./approval-policy.js";
+import { CONTEXT_STRATEGIES } from "./context-budget.js";
+import { LOG_FORMATS, LOG_LEVELS } from "./logger.js";
+import { defaultModelRoutes, loadModelRoutes, SANDBOX_MODES } from "./model-routes.js";
 
 const TRUE_VALUES = new Set(["1", "true", "yes", "on"]);
 const FALSE_VALUES = new Set(["0", "false", "no", "off"]);
@@ -55,8 +61,6 @@ function parseString(name, defaultValue) {
   return trimmed;
 }
 
-const SANDBOX_MODES = new Set(["read-only", "workspace-write", "danger-full-access", "seatbelt"]);
-
 function parseSandboxMode(raw) {
   const value = (raw ?? "workspace-write").trim();
   if (SANDBOX_MODES.has(value)) {
@@ -66,22 +70,167 @@ function parseSandboxMode(raw) {
   throw new Error(`Invalid CODEX_SANDBOX: ${value}`);
 }
 
+// CODEX_MODEL_CONCURRENCY="gpt-5.3-codex=1,gpt-5.2=4", CONTEXT_BUDGETS="gpt-5.2=150000"
+function parseModelLimits(name) {
+  const raw = process.env[name];
+  if (raw === undefined || !raw.trim()) {
+    return {};
+  }
+
+  const limits = {};
+  for (const part of raw.split(",")) {
+    const match = /^\s*([^=\s]+)\s*=\s*(\d+)\s*$/.exec(part);
+    if (!match || Number.parseInt(match[2], 10) < 1) {
+      throw new Error(`Invalid ${name} entry: ${part.trim()}`);
+    }
+    limits[match[1]] = Number.parseInt(match[2], 10);
+  }
+  return limits;
+}
+
+const WORKSPACE_NAME = /^[A-Za-z0-9._-]+$/;
+
+// CODEX_WORKSPACES="api=~/src/api,web=/srv/web"; `--workspace name=path` passes the entries as a list.
+function parseWorkspaces(raw) {
+  if (raw === undefined) {
+    return {};
+  }
+
+  const entries = Array.isArray(raw) ? raw : raw.split(",").filter((part) => part.trim());
+  const workspaces = {};
+  for (const entry of entries) {
+    const match = /^\s*([^=\s]+)\s*=\s*(.+?)\s*$/.exec(entry);
+    if (!match || !WORKSPACE_NAME.test(match[1])) {
+      throw new Error(`Invalid CODEX_WORKSPACES entry: ${entry.trim()}`);
+    }
+
+    const dir = path.resolve(match[2].replace(/^~(?=$|\/)/, os.homedir()));
+    if (!fs.statSync(dir, { throwIfNoEntry: false })?.isDirectory()) {
+      throw new Error(`Invalid CODEX_WORKSPACES entry: ${match[1]}: ${dir} is not a directory`);
+    }
+    workspaces[match[1]] = dir;
+  }
+  return workspaces;
+}
+
+// AUDIT_LOG_FILE=off disables the audit log.
+function resolveAuditLogFile(raw, stateDir) {
+  if (raw === undefined) {
+    return path.join(stateDir, "audit.jsonl");
+  }
+
+  const trimmed = raw.trim();
+  if (FALSE_VALUES.has(trimmed.toLowerCase())) {
+    return null;
+  }
+  return path.resolve(trimmed);
+}
+
+// THREAD_STATE_FILE=off stops saving threads across restarts.
+function resolveThreadStateFile(raw, stateDir) {
+  if (raw === undefined) {
+    return path.join(stateDir, "threads.json");
+  }
+
+  const trimmed = raw.trim();
+  if (FALSE_VALUES.has(trimmed.toLowerCase())) {
+    return null;
+  }
+  return path.resolve(trimmed);
+}
+
+// MODEL_ROUTES_FILE replaces the built-in table; UNKNOWN_MODEL overrides its unknownModel.
+function resolveModelRoutes(filePath, unknownModel) {
+  const table = filePath ? loadModelRoutes(path.resolve(filePath)) : defaultModelRoutes();
+  if (unknownModel === undefined) {
+    return table;
+  }
+
+  const mode = unknownModel.trim().toLowerCase();
+  if (mode !== "fallback" && mode !== "error") {
+    throw new Error(`Invalid UNKNOWN_MODEL: ${unknownModel}`);
+  }
+  return { ...table, unknownModel: mode };
+}
+
+function parseChoice(name, raw, choices, defaultValue) {
+  const value = (raw ?? defaultValue).trim().toLowerCase();
+  if (choices.includes(value)) {
+    return value;
+  }
+
+  throw new Error(`Invalid ${name}: ${raw} (expected ${choices.join(", ")})`);
+}
+
+export function resolveStateDir(overrides = {}) {
+  return path.resolve(overrides.stateDir ?? process.env.GATEWAY_STATE_DIR ?? path.join(os.homedir(), ".codex-gateway"));
+}
+
+export function resolveApiKeysFile(overrides = {}) {
+  const filePath = overrides.apiKeysFile ?? process.env.API_KEYS_FILE;
+  return filePath ? path.resolve(filePath) : path.join(resolveStateDir(overrides), "api-keys.json");
+}
+
 export function loadConfig(overrides = {}) {
   const workdir = path.resolve(overrides.workdir ?? process.env.CODEX_WORKDIR ?? process.cwd());
+  const stateDir = resolveStateDir(overrides);
+  const approvalPolicyFile = overrides.approvalPolicyFile ?? process.env.APPROVAL_POLICY_FILE;
+  const modelRoutesFile = overrides.modelRoutesFile ?? process.env.MODEL_ROUTES_FILE;
 
   return {
     codexPath: overrides.codexPath ?? process.env.CODEX_PATH ?? "codex",
     host: overrides.host ?? process.env.GATEWAY_HOST ?? "127.0.0.1",
     port: overrides.port ?? parseInteger("GATEWAY_PORT", 8080),
     workdir,
+    // Named workdirs requests may pick instead of `workdir`.
+    workspaces: parseWorkspaces(overrides.workspaces ?? process.env.CODEX_WORKSPACES),
+    stateDir,
+    auditLogFile:
+      overrides.auditLogFile !== undefined
+        ? overrides.auditLogFile
+        : resolveAuditLogFile(process.env.AUDIT_LOG_FILE, stateDir),
+    threadStateFile:
+      overrides.threadStateFile !== undefined
+        ? overrides.threadStateFile
+        : resolveThreadStateFile(process.env.THREAD_STATE_FILE, stateDir),
+    // auto requires an API key once any key has been created.
+    auth: parseChoice("GATEWAY_AUTH", overrides.auth ?? process.env.GATEWAY_AUTH, ["auto", "on", "off"], "auto"),
+    apiKeysFile: resolveApiKeysFile(overrides),
     autoApprove: overrides.autoApprove ?? parseBoolean("AUTO_APPROVE", true),
-    forceStreamFalse: overrides.forceStreamFalse ?? parseBoolean("FORCE_STREAM_FALSE", true),
+    approvalTimeoutMs: overrides.approvalTimeoutMs ?? parseInteger("APPROVAL_TIMEOUT_MS", 120_000),
+    approvalTty: overrides.approvalTty ?? parseBoolean("APPROVAL_TTY", false),
+    approvalPolicy: approvalPolicyFile ? loadApprovalPolicy(path.resolve(approvalPolicyFile)) : null,
+    forceStreamFalse: overrides.forceStreamFalse ?? parseBoolean("FORCE_STREAM_FALSE", false),
+    tokenCountCalibration: overrides.tokenCountCalibration ?? parseBoolean("TOKEN_COUNT_CALIBRATION", false),
     autoRestart: overrides.autoRestart ?? parseBoolean("AUTO_RESTART", true),
     requestTimeoutMs: overrides.requestTimeoutMs ?? parseInteger("CODEX_REQUEST_TIMEOUT_MS", 30_000),
     turnTimeoutMs: overrides.turnTimeoutMs ?? parseInteger("CODEX_TURN_TIMEOUT_MS", 300_000),
+    toolResultTimeoutMs: overrides.toolResultTimeoutMs ?? parseInteger("CODEX_TOOL_RESULT_TIMEOUT_MS", 1_800_000),
+    maxThreads: overrides.maxThreads ?? parseInteger("CODEX_MAX_THREADS", 32),
+    threadIdleTtlMs: overrides.threadIdleTtlMs ?? parseInteger("CODEX_THREAD_IDLE_TTL_MS", 3_600_000),
+    codexProcesses: overrides.codexProcesses ?? parseInteger("CODEX_PROCESSES", 1),
+    turnsPerProcess: overrides.turnsPerProcess ?? parseInteger("CODEX_TURNS_PER_PROCESS", 4),
+    modelConcurrency: overrides.modelConcurrency ?? parseModelLimits("CODEX_MODEL_CONCURRENCY"),
     restartDelayMs: overrides.restartDelayMs ?? parseInteger("CODEX_RESTART_DELAY_MS", 1_000),
+    restartMaxDelayMs: overrides.restartMaxDelayMs ?? parseInteger("CODEX_RESTART_MAX_DELAY_MS", 30_000),
+    circuitBreakerThreshold: overrides.circuitBreakerThreshold ?? parseInteger("CODEX_CIRCUIT_BREAKER_THRESHOLD", 5),
+    circuitBreakerCooldownMs:
+      overrides.circuitBreakerCooldownMs ?? parseInteger("CODEX_CIRCUIT_BREAKER_COOLDOWN_MS", 60_000),
+    // Transcript budgets for new threads; 0 turns the budget off.
+    contextBudgetTokens: overrides.contextBudgetTokens ?? parseInteger("CONTEXT_BUDGET_TOKENS", 200_000),
+    contextBudgets: overrides.contextBudgets ?? parseModelLimits("CONTEXT_BUDGETS"),
+    contextStrategy: parseChoice(
+      "CONTEXT_STRATEGY",
+      overrides.contextStrategy ?? process.env.CONTEXT_STRATEGY,
+      CONTEXT_STRATEGIES,
+      "truncate-tool-results"
+    ),
+    contextSummaryModel: overrides.contextSummaryModel ?? process.env.CONTEXT_SUMMARY_MODEL?.trim() ?? null,
     maxBodyBytes: overrides.maxBodyBytes ?? parseInteger("GATEWAY_MAX_BODY_BYTES", 2 * 1024 * 1024),
     defaultCodexModel: overrides.defaultCodexModel ?? parseString("DEFAULT_CODEX_MODEL", "gpt-5.2"),
-    sandboxMode: overrides.sandboxMode ?? parseSandboxMode(process.env.CODEX_SANDBOX)
+    modelRoutes: resolveModelRoutes(modelRoutesFile, overrides.unknownModel ?? process.env.UNKNOWN_MODEL),
+    sandboxMode: overrides.sandboxMode ?? parseSandboxMode(process.env.CODEX_SANDBOX),
+    logLevel: parseChoice("LOG_LEVEL", overrides.logLevel ?? process.env.LOG_LEVEL, Object.keys(LOG_LEVELS), "info"),
+    logFormat: parseChoice("LOG_FORMAT", overrides.logFormat ?? process.env.LOG_FORMAT, [...LOG_FORMATS], "text")
   };
 }
@@ -0,0 +1,207 @@
+import { buildTurnInput } from "./anthropic.js";
+import { HttpError } from "./errors.js";
+
+export const CONTEXT_STRATEGIES = ["truncate-tool-results", "drop-oldest", "summarize", "off"];
+
+// The role line and blank line `buildTurnInput` frames each message with.
+const MESSAGE_FRAMING_TOKENS = 4;
+// A truncated tool result keeps its start and its end, where errors and summaries usually are.
+const TOOL_RESULT_HEAD_CHARS = 2_000;
+const TOOL_RESULT_TAIL_CHARS = 1_000;
+// Room left in the budget for the summary that replaces older messages.
+const SUMMARY_RESERVE_TOKENS = 4_000;
+// Header line of a rendered tool result; see `renderToolResult` in anthropic.js.
+const TOOL_RESULT_HEADER = /^\[tool_result tool_use_id=[^\]\n]*\]$/gm;
+
+/** The transcript budget for a Codex model: its `CONTEXT_BUDGETS` entry, else `CONTEXT_BUDGET_TOKENS`. */
+export function contextBudgetFor(config, codexModel) {
+  return config.contextBudgets?.[codexModel] ?? config.contextBudgetTokens;
+}
+
+/**
+ * Cuts the middle out of tool result bodies longer than the head and tail it
+ * keeps. A body runs from its header to the next header or the end of the
+ * message, so text after the last result of a message stays in its tail.
+ */
+function truncateToolResults(text) {
+  const headers = [...text.matchAll(TOOL_RESULT_HEADER)];
+  if (headers.length === 0) {
+    return { text, truncated: 0 };
+  }
+
+  let result = text.slice(0, headers[0].index);
+  let truncated = 0;
+  headers.forEach((header, index) => {
+    const bodyStart = header.index + header[0].length;
+    const bodyEnd = index + 1 < headers.length ? headers[index + 1].index : text.length;
+    const body = text.slice(bodyStart, bodyEnd);
+    const omitted = body.length - TOOL_RESULT_HEAD_CHARS - TOOL_RESULT_TAIL_CHARS;
+
+    result += header[0];
+    if (omitted <= 0) {
+      result += body;
+      return;
+    }
+    result +=
+      `${body.slice(0, TOOL_RESULT_HEAD_CHARS)}\n` +
+      `[... ${omitted} characters of tool output truncated by codex-gateway ...]\n` +
+      body.slice(body.length - TOOL_RESULT_TAIL_CHARS);
+    truncated += 1;
+  });
+  return { text: result, truncated };
+}
+
+function renderTranscript(messages) {
+  return messages.map((message) => `${message.role.toUpperCase()}:\n${message.text || "[empty]"}`).join("\n\n");
+}
+
+function summaryPrompt(transcript) {
+  return [
+    "Summarize the earlier part of a conversation between a user and a coding assistant.",
+    "The summary replaces these messages in the assistant's context, so keep what the rest of the work depends on:",
+    "the user's goals and constraints, decisions made, files and commands involved, errors hit and how they were resolved, and open tasks.",
+    "Be concise; use at most 1,500 words. Do not run commands or change files. Reply with the summary only.",
+    "",
+    "Conversation:",
+    transcript
+  ].join("\n");
+}
+
+/**
+ * Fits the transcript `buildTurnInput` renders for a new Codex thread into
+ * `budget` tokens. The system prompt and the latest message are always kept.
+ *
+ * - `truncate-tool-results` shortens large tool results, oldest first.
+ * - `summarize` replaces older messages with a summary written by `summarize(prompt)`,
+ *   a separate Codex turn.
+ * - `drop-oldest` leaves out the oldest messages after the opening user message.
+ *
+ * Older messages are dropped whenever a strategy does not free enough (or the
+ * summary fails), and a transcript that still does not fit fails with Anthropic's
+ * `prompt is too long` error, which tells Claude Code to compact on its side.
+ *
+ * Returns `{ validated, report }`: `validated` with the compacted messages, and a
+ * report of what changed, or null when the transcript already fit.
+ */
+export async function fitTranscript(validated, { budget, strategy, countText, summarize }) {
+  if (strategy === "off" || !budget) {
+    return { validated, report: null };
+  }
+
+  // The system prompt and the repeated latest user request.
+  const fixedFor = (latestUserMessage) => countText(buildTurnInput({ ...validated, latestUserMessage, messages: [] }));
+  let latestUserMessage = validated.latestUserMessage;
+  let fixedTokens = await fixedFor(latestUserMessage);
+  const messageTokens = async (message) => MESSAGE_FRAMING_TOKENS + (await countText(message.text));
+  const messages = [...validated.messages];
+  const counts = [];
+  for (const message of messages) {
+    counts.push(await messageTokens(message));
+  }
+  const total = () => counts.reduce((sum, count) => sum + count, fixedTokens);
+
+  const originalTokens = total();
+  if (originalTokens <= budget) {
+    return { validated, report: null };
+  }
+
+  const report = {
+    strategy,
+    budget_tokens: budget,
+    original_tokens: originalTokens,
+    final_tokens: originalTokens,
+    truncated_tool_results: 0,
+    summarized_messages: 0,
+    dropped_messages: 0
+  };
+
+  if (strategy === "truncate-tool-results") {
+    for (let index = 0; index < messages.length && total() > budget; index += 1) {
+      const { text, truncated } = truncateToolResults(messages[index].text);
+      if (truncated > 0) {
+        if (messages[index] === latestUserMessage) {
+          latestUserMessage = { ...latestUserMessage, text };
+          fixedTokens = await fixedFor(latestUserMessage);
+        }
+        messages[index] = { ...messages[index], text };
+        counts[index] = await messageTokens(messages[index]);
+        report.truncated_tool_results += truncated;
+      }
+    }
+  }
+
+  // The opening user message states the task; it is kept whenever something else can go.
+  const first = messages[0]?.role === "user" && messages.length > 2 ? 1 : 0;
+  // End of the oldest run of messages that must go for the rest to fit in `target` tokens.
+  // The run ends before a user message, so the kept part still reads as a conversation.
+  const cutFor = (target) => {
+    let excess = total() - target;
+    let end = first;
+    while (end < messages.length - 1 && (excess > 0 || messages[end].role !== "user")) {
+      excess -= counts[end];
+      end += 1;
+    }
+    return excess > 0 ? null : end;
+  };
+
+  if (strategy === "summarize") {
+    const end = cutFor(budget - SUMMARY_RESERVE_TOKENS) ?? messages.length - 1;
+    if (end > first) {
+      const older = messages.slice(first, end).map((message) => ({ ...message, text: truncateToolResults(message.text).text }));
+      // The summary turn has the same budget; what does not fit in it is left out, oldest first.
+      let summaryTokens = 0;
+      for (const message of older) {
+        summaryTokens += await messageTokens(message);
+      }
+      while (older.length > 1 && summaryTokens > budget - SUMMARY_RESERVE_TOKENS) {
+        summaryTokens -= await messageTokens(older.shift());
+      }
+      try {
+        const summary = (await summarize(summaryPrompt(renderTranscript(older)))).trim();
+        if (!summary) {
+          throw new Error("Codex returned an empty summary.");
+        }
+        const note = {
+          role: "note",
+          text: `Summary of ${older.length} earlier messages, written by codex-gateway to fit the context budget:\n${summary}`,
+          toolResults: [],
+          images: [],
+          summarizes: older.length
+        };
+        messages.splice(first, end - first, note);
+        counts.splice(first, end - first, await messageTokens(note));
+        report.summarized_messages = older.length;
+        report.dropped_messages = end - first - older.length;
+      } catch (error) {
+        report.summary_error = error instanceof Error ? error.message : String(error);
+      }
+    }
+  }
+
+  if (total() > budget) {
+    const end = cutFor(budget - MESSAGE_FRAMING_TOKENS - 32);
+    if (end === null) {
+      throw new HttpError(
+        400,
+        `prompt is too long: ${total()} tokens > ${budget} maximum (the context budget for ${validated.codexModel})`
+      );
+    }
+
+    // Dropping a summary drops the messages it stood for.
+    const removed = messages.slice(first, end);
+    const dropped = removed.reduce((count, message) => count + (message.summarizes ?? 1), 0);
+    report.summarized_messages -= removed.reduce((count, message) => count + (message.summarizes ?? 0), 0);
+    const note = {
+      role: "note",
+      text: `[${dropped} earlier messages were left out by codex-gateway to fit the context budget.]`,
+      toolResults: [],
+      images: []
+    };
+    messages.splice(first, end - first, note);
+    counts.splice(first, end - first, await messageTokens(note));
+    report.dropped_messages += dropped;
+  }
+
+  report.final_tokens = total();
+  return { validated: { ...validated, messages, latestUserMessage }, report };
+}
@@ -1,8 +1,17 @@
 export class HttpError extends Error {
-  constructor(statusCode, message, type = "invalid_request_error") {
+  constructor(statusCode, message, type = "invalid_request_error", { retryAfterSeconds = null } = {}) {
     super(message);
     this.name = "HttpError";
     this.statusCode = statusCode;
     this.type = type;
+    // Sent as `retry-after` when the error is answered before the response has started.
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+export class ClientDisconnectedError extends Error {
+  constructor(message = "Client disconnected.") {
+    super(message);
+    this.name = "ClientDisconnectedError";
   }
 }
@@ -1,13 +1,39 @@
+import { randomUUID } from "node:crypto";
 import http from "node:http";
+import path from "node:path";
+import process from "node:process";
 import {
+  AnthropicMessageStream,
   buildAnthropicErrorResponse,
   buildAnthropicModelsResponse,
   buildAnthropicSuccessResponse,
-  countAnthropicInputTokens,
+  buildConversationRoute,
+  collectTurnImages,
   buildTurnInput,
   validateAnthropicRequest
 } from "./anthropic.js";
-import { HttpError } from "./errors.js";
+import { handleAdminRequest } from "./admin.js";
+import { applySandboxCeiling, keyAllowsModel } from "./api-keys.js";
+import { contextBudgetFor, fitTranscript } from "./context-budget.js";
+import { ClientDisconnectedError, HttpError } from "./errors.js";
+import { childLogger, createRedactor } from "./logger.js";
+import {
+  buildOpenAIChatCompletion,
+  buildOpenAIErrorResponse,
+  OpenAIChatStream,
+  renderOpenAIAssistant,
+  validateOpenAIRequest
+} from "./openai.js";
+import { OutputLimiter } from "./output-limits.js";
+import { applyRequestOverrides } from "./request-overrides.js";
+import { endEventStream, startEventStream, writeComment, writeEvent } from "./sse.js";
+import { loadTokenizer, TokenCounter } from "./token-counter.js";
+
+const STREAM_PING_INTERVAL_MS = 15_000;
+
+function createRequestId() {
+  return `req_${randomUUID().replace(/-/g, "")}`;
+}
 
 function jsonResponse(res, statusCode, payload) {
   const body = JSON.stringify(payload);
@@ -46,33 +72,352 @@ async function readJsonBody(req, maxBytes) {
   }
 }
 
-function mapErrorToAnthropic(error) {
+const CONVERSATION_HEADERS = ["x-codex-conversation-id", "x-claude-code-session-id"];
+
+// Keeps separate Claude sessions on separate Codex threads even when their histories match.
+function resolveConversationScope(req, validated) {
+  for (const header of CONVERSATION_HEADERS) {
+    const value = req.headers[header];
+    if (typeof value === "string" && value.trim()) {
+      return value.trim();
+    }
+  }
+
+  return validated.userId ?? "default";
+}
+
+const WORKSPACE_HEADER = "x-codex-workspace";
+// `/w/<name>/v1/messages` is `/v1/messages` in workspace <name>.
+const WORKSPACE_PATH = /^\/w\/([^/]+)(\/v1\/.*)$/;
+
+/**
+ * The workspace a request runs in: the `/w/<name>/` path prefix, else the
+ * `x-codex-workspace` header (a name, or the directory of a configured workspace).
+ * Null means `config.workdir`. Only workspaces from `CODEX_WORKSPACES` are allowed.
+ */
+function resolveWorkspace(req, prefixName, workspaces) {
+  const header = req.headers[WORKSPACE_HEADER];
+  const requested = prefixName ?? (typeof header === "string" && header.trim() ? header.trim() : null);
+  if (requested === null) {
+    return null;
+  }
+
+  if (Object.hasOwn(workspaces, requested)) {
+    return requested;
+  }
+
+  if (path.isAbsolute(requested)) {
+    const dir = path.resolve(requested);
+    const named = Object.keys(workspaces).find((name) => workspaces[name] === dir);
+    if (named) {
+      return named;
+    }
+    throw new HttpError(403, `${dir} is not an allowed workspace.`, "permission_error");
+  }
+
+  throw new HttpError(404, `Unknown workspace: ${requested}.`, "not_found_error");
+}
+
+function mapError(error, buildError = buildAnthropicErrorResponse) {
   if (error instanceof HttpError) {
     return {
       status: error.statusCode,
-      body: buildAnthropicErrorResponse(error.type, error.message)
+      type: error.type,
+      message: error.message,
+      retryAfterSeconds: error.retryAfterSeconds,
+      body: buildError(error.type, error.message)
     };
   }
 
   const message = error instanceof Error ? error.message : String(error);
   return {
     status: 502,
-    body: buildAnthropicErrorResponse("api_error", message)
+    type: "api_error",
+    message,
+    retryAfterSeconds: null,
+    body: buildError("api_error", message)
   };
 }
 
-export function createGatewayServer({ config, codexClient, logger = console }) {
+function errorResponse(res, mapped) {
+  if (mapped.retryAfterSeconds !== null && mapped.retryAfterSeconds !== undefined) {
+    res.setHeader("retry-after", String(mapped.retryAfterSeconds));
+  }
+  jsonResponse(res, mapped.status, mapped.body);
+}
+
+/**
+ * Checks a validated request against its API key: the model must be one the key allows,
+ * and the sandbox is lowered to the key's ceiling. `key` is null without auth.
+ */
+function authorizeRequest(key, validated, defaultSandbox) {
+  if (!key) {
+    return;
+  }
+
+  if (!keyAllowsModel(key, validated.requestedModel, validated.codexModel)) {
+    throw new HttpError(
+      403,
+      `API key ${key.id} may not use model ${validated.requestedModel ?? validated.codexModel}.`,
+      "permission_error"
+    );
+  }
+
+  const sandbox = validated.sandbox ?? defaultSandbox;
+  const capped = applySandboxCeiling(sandbox, key.sandbox);
+  if (capped !== sandbox) {
+    validated.sandbox = capped;
+  }
+}
+
+/**
+ * The client-facing APIs served by the turn handler. Each adapter validates
+ * into the same request shape and renders turn results in its own format.
+ */
+const PROTOCOLS = {
+  "/v1/messages": {
+    validate: validateAnthropicRequest,
+    renderAssistant: undefined,
+    buildResponse: buildAnthropicSuccessResponse,
+    buildError: buildAnthropicErrorResponse,
+    createStream: (res, validated, inputTokens, contextReport) => {
+      const stream = new AnthropicMessageStream(validated.responseModel, (event, data) => writeEvent(res, event, data));
+      stream.start(inputTokens, contextReport);
+      return stream;
+    }
+  },
+  "/v1/chat/completions": {
+    validate: validateOpenAIRequest,
+    renderAssistant: renderOpenAIAssistant,
+    buildResponse: buildOpenAIChatCompletion,
+    buildError: buildOpenAIErrorResponse,
+    createStream: (res, validated) => {
+      const stream = new OpenAIChatStream(validated.responseModel, {
+        writeData: (data) => writeEvent(res, null, data),
+        writeComment: (text) => writeComment(res, text),
+        includeUsage: validated.includeUsage
+      });
+      stream.start();
+      return stream;
+    }
+  }
+};
+
+/**
+ * Compacts the transcript of a request that starts a new Codex thread so it fits
+ * the resolved model's context budget. Requests that continue a thread only send
+ * their new messages and are left alone (`continues`). Summaries run as separate
+ * read-only turns.
+ */
+async function compactTranscript({
+  validated,
+  workspace,
+  conversation,
+  codexClient,
+  config,
+  tokenCounter,
+  signal,
+  requestId
+}) {
+  const continues = codexClient.ownsConversation({
+    conversation,
+    tools: validated.tools,
+    sandbox: validated.sandbox,
+    approvalPolicy: validated.approvalPolicy,
+    workspace,
+    toolResults: validated.toolResults
+  });
+  if (continues) {
+    return { validated, report: null, continues };
+  }
+
+  const summaryModel = config.contextSummaryModel ?? config.defaultCodexModel;
+  const fitted = await fitTranscript(validated, {
+    budget: contextBudgetFor(config, validated.codexModel),
+    strategy: config.contextStrategy,
+    countText: (text) => tokenCounter.countText(validated.codexModel, text),
+    summarize: async (prompt) => {
+      const result = await codexClient.queueTurn(prompt, config.turnTimeoutMs, summaryModel, {
+        effort: "low",
+        sandbox: "read-only",
+        workspace,
+        conversation: { scope: `${conversation.scope}:context-summary` },
+        keepThread: false,
+        signal,
+        requestId
+      });
+      return result.text ?? "";
+    }
+  });
+  return { ...fitted, continues };
+}
+
+// max_tokens and stop sequences end the response, and its Codex turn, early.
+async function createOutputLimiter(validated) {
+  const limiter = new OutputLimiter({
+    maxTokens: validated.maxTokens,
+    stopSequences: validated.stopSequences,
+    tokenizer: validated.maxTokens ? await loadTokenizer(validated.codexModel) : null
+  });
+  return limiter.active ? limiter : null;
+}
+
+// Aborts when the client goes away before the response has been fully written.
+function watchClientDisconnect(res) {
+  const controller = new AbortController();
+  res.once("close", () => {
+    if (!res.writableFinished) {
+      controller.abort(new ClientDisconnectedError());
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Streams one turn. The event stream opens on the first output (or the first
+ * keep-alive), so a turn that fails before producing anything is still answered
+ * with a proper HTTP status and `retry-after` by the caller.
+ */
+async function streamTurn({
+  res,
+  protocol,
+  inputTokens,
+  contextReport,
+  codexClient,
+  config,
+  validated,
+  workspace,
+  turnInput,
+  images,
+  limiter,
+  conversation,
+  signal,
+  requestId
+}) {
+  let stream = null;
+  const openStream = () => {
+    if (!stream) {
+      startEventStream(res);
+      stream = protocol.createStream(res, validated, inputTokens, contextReport);
+      stream.ping();
+    }
+    return stream;
+  };
+  const pingTimer = setInterval(() => openStream().ping(), STREAM_PING_INTERVAL_MS);
+
+  try {
+    const turnResult = await codexClient.queueTurn(turnInput, config.turnTimeoutMs, validated.codexModel, {
+      tools: validated.tools,
+      toolResults: validated.toolResults,
+      images,
+      effort: validated.effort,
+      reasoningSummary: Boolean(validated.thinking),
+      sandbox: validated.sandbox,
+      approvalPolicy: validated.approvalPolicy,
+      workspace,
+      limiter,
+      conversation,
+      signal,
+      requestId,
+      onDelta: (delta) => openStream().textDelta(delta),
+      onReasoningDelta: validated.thinking ? (delta) => openStream().thinkingDelta(delta) : undefined
+    });
+    openStream().finish(turnResult);
+    return turnResult;
+  } catch (error) {
+    if (stream && !(error instanceof ClientDisconnectedError)) {
+      const mapped = mapError(error);
+      stream.fail(mapped.type, mapped.message);
+    }
+    throw error;
+  } finally {
+    clearInterval(pingTimer);
+    if (stream) {
+      endEventStream(res);
+    }
+  }
+}
+
+// Route label for metrics; anything else is "other" so scanners cannot blow up the series count.
+const METRIC_ROUTES = new Set([
+  "/healthz",
+  "/livez",
+  "/readyz",
+  "/status",
+  "/metrics",
+  "/v1/models",
+  "/v1/messages",
+  "/v1/messages/count_tokens",
+  "/v1/chat/completions"
+]);
+
+// The config as `/status` shows it: compiled patterns dropped, secrets redacted.
+function describeConfig(config, redactor) {
+  return redactor.redactValue({
+    ...config,
+    approvalPolicy: config.approvalPolicy ? { source: config.approvalPolicy.source } : null,
+    modelRoutes: {
+      source: config.modelRoutes.source,
+      unknownModel: config.modelRoutes.unknownModel,
+      routes: config.modelRoutes.routes.map(({ regexes: _regexes, ...route }) => route)
+    }
+  });
+}
+
+function metricRoute(pathname) {
+  if (METRIC_ROUTES.has(pathname)) {
+    return pathname;
+  }
+  return pathname.startsWith("/admin/") ? "/admin" : "other";
+}
+
+export function createGatewayServer({ config, codexClient, approvals, apiKeys = null, metrics = null, logger = console }) {
+  const tokenCounter = new TokenCounter({ calibrate: config.tokenCountCalibration });
+  const validationOptions = {
+    forceStreamFalse: config.forceStreamFalse,
+    // The admin API can change the default model at runtime.
+    get defaultCodexModel() {
+      return config.defaultCodexModel;
+    },
+    modelRoutes: config.modelRoutes
+  };
+
+  const redactor = createRedactor();
+
+  // With GATEWAY_AUTH=auto, keys are required once the store holds any.
+  const authenticate = (req) => {
+    if (!apiKeys || config.auth === "off" || (config.auth === "auto" && apiKeys.size === 0)) {
+      return null;
+    }
+    return apiKeys.authenticate(req);
+  };
+
   return http.createServer(async (req, res) => {
     const method = req.method ?? "GET";
     const rawUrl = req.url ?? "/";
     const requestUrl = new URL(rawUrl, "http://localhost");
-    const pathname = requestUrl.pathname;
+    const workspaceMatch = WORKSPACE_PATH.exec(requestUrl.pathname);
+    const pathname = workspaceMatch ? workspaceMatch[2] : requestUrl.pathname;
     const startedAt = Date.now();
-    logger.info(`[gateway] ${method} ${rawUrl}`);
+    const requestId = createRequestId();
+    res.setHeader("request-id", requestId);
+    // Every line about this request, here and in the Codex client, carries its id.
+    const log = childLogger(logger, { requestId });
+    log.info(`[gateway] ${method} ${rawUrl}`);
+    // Set once the request names a model; the metrics label it with the Codex model.
+    let metricModel = "";
+    res.once("close", () => {
+      const route = metricRoute(pathname);
+      // 499: the client went away before the response was complete (nginx's convention).
+      const status = res.writableFinished ? res.statusCode : 499;
+      metrics?.requests.inc({ route, status, model: metricModel });
+      metrics?.requestDuration.observe({ route }, (Date.now() - startedAt) / 1000);
+    });
 
     if (method === "GET" && pathname === "/healthz") {
       jsonResponse(res, 200, {
-        status: "ok"
+        status: "ok",
+        queue: codexClient.stats()
       });
       return;
     }
@@ -82,8 +427,86 @@ export function createGatewayServer({ config, codexClient, logger = console }) {
       return;
     }
 
+    // Liveness: the HTTP server answers. Readiness: every app-server can take turns.
+    if ((method === "GET" || method === "HEAD") && pathname === "/livez") {
+      jsonResponse(res, 200, { status: "ok" });
+      return;
+    }
+
+    if ((method === "GET" || method === "HEAD") && pathname === "/readyz") {
+      const notReady = codexClient.notReadyReasons();
+      jsonResponse(res, notReady.length === 0 ? 200 : 503, {
+        status: notReady.length === 0 ? "ready" : "not_ready",
+        ...(notReady.length > 0 ? { reasons: notReady } : {})
+      });
+      return;
+    }
+
+    if (method === "GET" && pathname === "/metrics" && metrics) {
+      const body = metrics.render(codexClient.stats());
+      res.statusCode = 200;
+      res.setHeader("content-type", "text/plain; version=0.0.4; charset=utf-8");
+      res.setHeader("content-length", Buffer.byteLength(body));
+      res.end(body);
+      return;
+    }
+
+    if (pathname.startsWith("/admin/")) {
+      try {
+        await handleAdminRequest({
+          req,
+          res,
+          method,
+          pathname,
+          approvals,
+          codexClient,
+          config,
+          authenticate,
+          readBody: (request) => readJsonBody(request, config.maxBodyBytes),
+          sendJson: jsonResponse,
+          logger: log
+        });
+      } catch (error) {
+        errorResponse(res, mapError(error));
+      }
+      return;
+    }
+
+    let key = null;
+    if (pathname.startsWith("/v1/")) {
+      try {
+        key = authenticate(req);
+      } catch (error) {
+        const mapped = mapError(error, PROTOCOLS[pathname]?.buildError);
+        log.warn(`[gateway] ${pathname} status=${mapped.status} ${mapped.message}`);
+        errorResponse(res, mapped);
+        return;
+      }
+    }
+
+    if (method === "GET" && pathname === "/status") {
+      try {
+        authenticate(req);
+      } catch (error) {
+        errorResponse(res, mapError(error));
+        return;
+      }
+
+      jsonResponse(res, 200, {
+        status: codexClient.notReadyReasons().length === 0 ? "ready" : "not_ready",
+        pid: process.pid,
+        startedAt: new Date(Date.now() - process.uptime() * 1000).toISOString(),
+        uptimeSeconds: Math.round(process.uptime()),
+        queue: codexClient.stats(),
+        appServers: codexClient.status(),
+        workspaces: codexClient.workspaces(),
+        config: describeConfig(config, redactor)
+      });
+      return;
+    }
+
     if (method === "GET" && pathname === "/v1/models") {
-      jsonResponse(res, 200, buildAnthropicModelsResponse(config.defaultCodexModel));
+      jsonResponse(res, 200, buildAnthropicModelsResponse(config.modelRoutes, config.defaultCodexModel));
       return;
     }
 
@@ -95,50 +518,145 @@ export function createGatewayServer({ config, codexClient, logger = console }) {
     if (method === "POST" && pathname === "/v1/messages/count_tokens") {
       try {
         const payload = await readJsonBody(req, config.maxBodyBytes);
-        const inputTokens = countAnthropicInputTokens(payload);
+        // Counting is advisory: unknown models count with the default model's
+        // encoding, and the transcript need not end in a user message.
+        const validated = validateAnthropicRequest(payload, {
+          ...validationOptions,
+          modelRoutes: { ...config.modelRoutes, unknownModel: "fallback" },
+          requireUserMessage: false
+        });
+        metricModel = validated.codexModel;
+        authorizeRequest(key, validated, config.sandboxMode);
+        const counted = await tokenCounter.count(validated, payload);
         jsonResponse(res, 200, {
-          input_tokens: inputTokens
+          input_tokens: tokenCounter.withOverhead(validated.codexModel, counted)
         });
       } catch (error) {
-        const mapped = mapErrorToAnthropic(error);
-        jsonResponse(res, mapped.status, mapped.body);
+        errorResponse(res, mapError(error));
       }
       return;
     }
 
-    if (method !== "POST" || pathname !== "/v1/messages") {
+    const protocol = PROTOCOLS[pathname];
+    if (method !== "POST" || !protocol) {
       jsonResponse(res, 404, buildAnthropicErrorResponse("not_found_error", "Not found."));
       return;
     }
 
     try {
       const payload = await readJsonBody(req, config.maxBodyBytes);
-      logger.info(
-        `[gateway] /v1/messages stream=${payload?.stream === true} requested_model=${payload?.model ?? "null"}`
-      );
-      const validated = validateAnthropicRequest(payload, {
-        forceStreamFalse: config.forceStreamFalse,
-        defaultCodexModel: config.defaultCodexModel
-      });
+      log.info(`[gateway] ${pathname} stream=${payload?.stream === true} requested_model=${payload?.model ?? "null"}`);
+      const validated = protocol.validate(payload, validationOptions);
+      metricModel = validated.codexModel;
+      authorizeRequest(key, validated, config.sandboxMode);
+      applyRequestOverrides(req, payload, validated, config);
+      const workspace = resolveWorkspace(req, workspaceMatch?.[1] ?? null, config.workspaces);
 
-      const turnInput = buildTurnInput(validated);
-      logger.info(
-        `[gateway] /v1/messages codex_model=${validated.codexModel} response_model=${validated.responseModel}`
+      // Clients with different keys never share a thread, even with identical histories.
+      const scope = resolveConversationScope(req, validated);
+      const conversation = buildConversationRoute(
+        validated,
+        key ? `${key.id}:${scope}` : scope,
+        protocol.renderAssistant
       );
-      const turnResult = await codexClient.queueTurn(turnInput, config.turnTimeoutMs, validated.codexModel);
-      jsonResponse(
-        res,
-        200,
-        buildAnthropicSuccessResponse(turnResult.text, turnResult.usage, validated.responseModel)
+      const signal = watchClientDisconnect(res);
+      log.info(
+        `[gateway] ${pathname} codex_model=${validated.codexModel} response_model=${validated.responseModel} key=${key?.label ?? "-"} workspace=${workspace ?? "-"}`
       );
-      logger.info(`[gateway] /v1/messages status=200 latency_ms=${Date.now() - startedAt}`);
+
+      // Fingerprints keep using the full history; only what a new thread is sent is compacted.
+      const compacted = await compactTranscript({
+        validated,
+        workspace,
+        conversation,
+        codexClient,
+        config,
+        tokenCounter,
+        signal,
+        requestId
+      });
+      const contextReport = compacted.report;
+      if (contextReport) {
+        res.setHeader("codex-gateway-context", JSON.stringify(contextReport));
+        log.info(
+          `[gateway] ${pathname} context compacted strategy=${contextReport.strategy} tokens=${contextReport.original_tokens}->${contextReport.final_tokens} truncated=${contextReport.truncated_tool_results} summarized=${contextReport.summarized_messages} dropped=${contextReport.dropped_messages}`
+        );
+        if (contextReport.summary_error) {
+          log.warn(`[gateway] context summary failed, dropped messages instead: ${contextReport.summary_error}`);
+        }
+      }
+      const turnInput = buildTurnInput(compacted.validated);
+      const images = collectTurnImages(compacted.validated);
+      const limiter = await createOutputLimiter(validated);
+
+      // A request without history or tool results always starts a new thread, so
+      // Codex's reported input tokens are our count plus its own prompt overhead.
+      const startsThread = conversation.resumeFingerprint === null && validated.toolResults.length === 0;
+      // A continuation only sends its new messages, so only those are counted for
+      // message_start; the usage Codex reports at the end covers the whole thread.
+      const counted =
+        (validated.stream && !compacted.continues) || (startsThread && tokenCounter.calibrate)
+          ? await tokenCounter.count(compacted.validated, payload)
+          : null;
+
+      let turnResult;
+      if (validated.stream) {
+        turnResult = await streamTurn({
+          res,
+          protocol,
+          inputTokens: compacted.continues
+            ? await tokenCounter.countText(validated.codexModel, conversation.resumeInput)
+            : tokenCounter.withOverhead(validated.codexModel, counted),
+          contextReport,
+          codexClient,
+          config,
+          validated,
+          workspace,
+          turnInput,
+          images,
+          limiter,
+          conversation,
+          signal,
+          requestId
+        });
+      } else {
+        turnResult = await codexClient.queueTurn(turnInput, config.turnTimeoutMs, validated.codexModel, {
+          tools: validated.tools,
+          toolResults: validated.toolResults,
+          images,
+          effort: validated.effort,
+          reasoningSummary: Boolean(validated.thinking),
+          sandbox: validated.sandbox,
+          approvalPolicy: validated.approvalPolicy,
+          workspace,
+          limiter,
+          conversation,
+          signal,
+          requestId
+        });
+        const body = protocol.buildResponse(turnResult, validated.responseModel, { thinking: Boolean(validated.thinking) });
+        jsonResponse(res, 200, contextReport ? { ...body, context_management: contextReport } : body);
+      }
+      if (startsThread && counted !== null) {
+        tokenCounter.observe(validated.codexModel, counted, turnResult.usage?.inputTokens);
+      }
+      log.info(`[gateway] ${pathname} status=200 latency_ms=${Date.now() - startedAt}`);
     } catch (error) {
-      const mapped = mapErrorToAnthropic(error);
+      if (error instanceof ClientDisconnectedError) {
+        log.warn(`[gateway] ${pathname} cancelled: client disconnected latency_ms=${Date.now() - startedAt}`);
+        return;
+      }
+      const mapped = mapError(error, protocol.buildError);
       if (mapped.status >= 500) {
-        logger.error(`[gateway] ${mapped.body.error.message}`);
+        log.error(`[gateway] ${mapped.message}`);
+      }
+      if (res.headersSent) {
+        // The SSE stream already carried the error event.
+        log.info(`[gateway] ${pathname} stream_error=${mapped.type} latency_ms=${Date.now() - startedAt}`);
+        return;
       }
-      logger.info(`[gateway] /v1/messages status=${mapped.status} latency_ms=${Date.now() - startedAt}`);
-      jsonResponse(res, mapped.status, mapped.body);
+      log.info(`[gateway] ${pathname} status=${mapped.status} latency_ms=${Date.now() - startedAt}`);
+      errorResponse(res, mapped);
     }
   });
 }
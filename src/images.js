@@ -0,0 +1,144 @@
+import { randomUUID } from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { HttpError } from "./errors.js";
+
+// The Anthropic API's own per-image limit.
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const IMAGE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp"
+};
+
+// Codex reads `localImage` inputs itself, outside the sandbox, so they need not be in the workdir.
+const IMAGE_DIR = "images";
+
+function sniffMediaType(bytes) {
+  if (bytes.length >= 8 && bytes.readUInt32BE(0) === 0x89504e47) {
+    return "image/png";
+  }
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (bytes.length >= 6 && /^GIF8[79]a$/.test(bytes.toString("ascii", 0, 6))) {
+    return "image/gif";
+  }
+  if (bytes.length >= 12 && bytes.toString("ascii", 0, 4) === "RIFF" && bytes.toString("ascii", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+}
+
+/** Reads pixel dimensions from PNG, GIF, WebP and JPEG headers; null if unknown. */
+export function readImageSize(buffer) {
+  // PNG: IHDR width/height follow the 8-byte signature and chunk header.
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // GIF: logical screen size, little-endian.
+  if (buffer.length >= 10 && buffer.toString("ascii", 0, 3) === "GIF") {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  // WebP: lossy (VP8), lossless (VP8L) and extended (VP8X) headers.
+  if (buffer.length >= 30 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    const chunk = buffer.toString("ascii", 12, 16);
+    if (chunk === "VP8 ") {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === "VP8L") {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === "VP8X") {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+  }
+
+  // JPEG: walk the segments up to the first start-of-frame marker.
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+/** Splits a `data:<type>;base64,<data>` URL; null for anything else. */
+export function parseDataUrl(url) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(typeof url === "string" ? url : "");
+  return match ? { mediaType: match[1], data: match[2] } : null;
+}
+
+/**
+ * Decodes a base64 image and checks it: a supported type, content matching
+ * the declared type, and at most `MAX_IMAGE_BYTES`. Returns `{ mediaType, bytes }`.
+ */
+export function decodeImage(mediaType, data, label) {
+  if (!Object.hasOwn(IMAGE_EXTENSIONS, mediaType)) {
+    throw new HttpError(400, `${label}: unsupported image type ${mediaType}; use ${Object.keys(IMAGE_EXTENSIONS).join(", ")}.`);
+  }
+
+  if (typeof data !== "string" || !data) {
+    throw new HttpError(400, `${label}: image data is empty.`);
+  }
+
+  // Base64 is 4 characters per 3 bytes; reject oversized images before decoding them.
+  if (Math.floor((data.length * 3) / 4) > MAX_IMAGE_BYTES + 2) {
+    throw new HttpError(400, `${label}: image exceeds ${MAX_IMAGE_BYTES} bytes.`);
+  }
+
+  const bytes = Buffer.from(data, "base64");
+  if (bytes.length > MAX_IMAGE_BYTES) {
+    throw new HttpError(400, `${label}: image exceeds ${MAX_IMAGE_BYTES} bytes.`);
+  }
+
+  const actual = sniffMediaType(bytes);
+  if (actual !== mediaType) {
+    throw new HttpError(400, `${label}: image data is ${actual ?? "not a supported image"}, not ${mediaType}.`);
+  }
+
+  return { mediaType, bytes };
+}
+
+/**
+ * Writes decoded images under `<stateDir>/images/<id>/` (under the system
+ * temp directory without a state dir) and returns the `turn/start` input items for
+ * them plus a `cleanup()` that removes the files. URL images are passed
+ * through as `image` inputs.
+ */
+export async function writeTurnImages(stateDir, images) {
+  const dir = path.join(stateDir ?? path.join(os.tmpdir(), "codex-gateway"), IMAGE_DIR, randomUUID());
+  const cleanup = () => fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+  const items = [];
+
+  try {
+    for (const [index, image] of images.entries()) {
+      if (image.url) {
+        items.push({ type: "image", url: image.url });
+        continue;
+      }
+
+      await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+      const filePath = path.join(dir, `${index + 1}.${IMAGE_EXTENSIONS[image.mediaType]}`);
+      await fs.writeFile(filePath, image.bytes, { mode: 0o600 });
+      items.push({ type: "localImage", path: filePath });
+    }
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+
+  return { items, cleanup };
+}
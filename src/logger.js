@@ -0,0 +1,126 @@
+import process from "node:process";
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const LOG_FORMATS = new Set(["text", "json"]);
+
+const REDACTED = "[REDACTED]";
+// Field names whose values are always secret. `inputTokens` and friends are not.
+const SECRET_FIELD = /(?:^|[-_])(?:api[-_]?key|authorization|secret|password|access[-_]?token|refresh[-_]?token)$|^token$/i;
+// Env names by whole `_` segment, so KEYCHAIN_PATH, MONKEY or MAX_TOKENS are not secrets.
+const SECRET_ENV_NAME = /(?:^|_)(?:KEY|TOKEN)$|^TOKEN_|SECRET|PASSWORD|CREDENTIAL/i;
+const SECRET_PATTERNS = [
+  // Gateway keys and OpenAI / Anthropic style keys.
+  [/\bcgw_[A-Za-z0-9_-]{8,}/g, REDACTED],
+  [/\bsk-[A-Za-z0-9_-]{8,}/g, REDACTED],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/gi, `$1 ${REDACTED}`],
+  // `api_key=...`, `"token": "..."` and the like.
+  [/\b(api[-_]?key|token|secret|password)(["']?\s*[=:]\s*["']?)[^\s"',}]{4,}/gi, `$1$2${REDACTED}`]
+];
+
+// Values of secret-looking env vars, e.g. OPENAI_API_KEY, wherever they show up.
+function secretEnvValues(env) {
+  return Object.entries(env)
+    .filter(([name, value]) => SECRET_ENV_NAME.test(name) && typeof value === "string" && value.length >= 8)
+    .map(([, value]) => value);
+}
+
+export function createRedactor(env = process.env) {
+  const literals = secretEnvValues(env);
+
+  const redactText = (text) => {
+    let result = text;
+    for (const literal of literals) {
+      result = result.split(literal).join(REDACTED);
+    }
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+      result = result.replace(pattern, replacement);
+    }
+    return result;
+  };
+
+  const redactValue = (value, depth = 0) => {
+    if (typeof value === "string") {
+      return redactText(value);
+    }
+    if (!value || typeof value !== "object" || depth > 4) {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => redactValue(item, depth + 1));
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, SECRET_FIELD.test(key) ? REDACTED : redactValue(item, depth + 1)])
+    );
+  };
+
+  return { redactText, redactValue };
+}
+
+function formatTextField(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return /[\s"]/.test(text) ? JSON.stringify(text) : text;
+}
+
+/**
+ * Leveled logger with `text` (the classic `[component] message` lines) and
+ * `json` (one object per line) output. `child(fields)` returns a logger that
+ * adds `fields`, such as the request id, to every line. Messages and fields
+ * are redacted before they are written.
+ *
+ * Messages keep their `[component]` prefix; in JSON it becomes `component`.
+ */
+export function createLogger({
+  level = "info",
+  format = "text",
+  fields = {},
+  redactor = createRedactor(),
+  write = (stream, line) => process[stream].write(`${line}\n`)
+} = {}) {
+  const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+  const emit = (entryLevel, message, extra) => {
+    if (LOG_LEVELS[entryLevel] < threshold) {
+      return;
+    }
+
+    const text = redactor.redactText(String(message));
+    const merged = redactor.redactValue({ ...fields, ...extra });
+    const stream = LOG_LEVELS[entryLevel] >= LOG_LEVELS.warn ? "stderr" : "stdout";
+
+    if (format === "json") {
+      const prefix = /^\[([^\]]+)\]\s*/.exec(text);
+      write(
+        stream,
+        JSON.stringify({
+          ts: new Date().toISOString(),
+          level: entryLevel,
+          ...(prefix ? { component: prefix[1] } : {}),
+          msg: prefix ? text.slice(prefix[0].length) : text,
+          ...merged
+        })
+      );
+      return;
+    }
+
+    const suffix = Object.entries(merged)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => ` ${key}=${formatTextField(value)}`)
+      .join("");
+    write(stream, `${text}${suffix}`);
+  };
+
+  return {
+    level,
+    format,
+    debug: (message, extra) => emit("debug", message, extra),
+    info: (message, extra) => emit("info", message, extra),
+    warn: (message, extra) => emit("warn", message, extra),
+    error: (message, extra) => emit("error", message, extra),
+    child: (extra) => createLogger({ level, format, fields: { ...fields, ...extra }, redactor, write })
+  };
+}
+
+/** `logger.child(fields)`, or `logger` itself for plain `console`-like loggers. */
+export function childLogger(logger, fields) {
+  return typeof logger.child === "function" ? logger.child(fields) : logger;
+}
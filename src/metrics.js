@@ -0,0 +1,222 @@
+// Seconds; covers quick title requests up to turns near the default 5 minute timeout.
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const QUEUE_WAIT_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = "") {
+  const pairs = names.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) {
+    pairs.push(extra);
+  }
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(6)));
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // JSON-encoded label values -> state
+    this.series = new Map();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, state] of this.series) {
+      this.renderSeries(lines, JSON.parse(key), state);
+    }
+    return lines.join("\n");
+  }
+
+  stateFor(labels) {
+    const key = JSON.stringify(this.labelNames.map((name) => labels[name] ?? ""));
+    if (!this.series.has(key)) {
+      this.series.set(key, this.initialState());
+    }
+    return this.series.get(key);
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  initialState() {
+    return { value: 0 };
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (Number.isFinite(amount) && amount > 0) {
+      this.stateFor(labels).value += amount;
+    }
+  }
+
+  renderSeries(lines, values, state) {
+    lines.push(`${this.name}${formatLabels(this.labelNames, values)} ${formatValue(state.value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  initialState() {
+    return { value: 0 };
+  }
+
+  /** Gauges are read at scrape time, so each render starts from a clean slate. */
+  reset() {
+    this.series.clear();
+  }
+
+  set(labels, value) {
+    this.stateFor(labels).value = value;
+  }
+
+  renderSeries(lines, values, state) {
+    lines.push(`${this.name}${formatLabels(this.labelNames, values)} ${formatValue(state.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  initialState() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+
+    const state = this.stateFor(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        state.counts[index] += 1;
+      }
+    });
+    state.sum += value;
+    state.count += 1;
+  }
+
+  renderSeries(lines, values, state) {
+    this.buckets.forEach((bound, index) => {
+      const labels = formatLabels(this.labelNames, values, `le="${formatValue(bound)}"`);
+      lines.push(`${this.name}_bucket${labels} ${state.counts[index]}`);
+    });
+    lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${state.count}`);
+    lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${formatValue(state.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${state.count}`);
+  }
+}
+
+/**
+ * The gateway's Prometheus metrics. Counters and histograms are updated as
+ * things happen; queue gauges are read from `CodexPool#stats()` at scrape time.
+ */
+export class GatewayMetrics {
+  constructor() {
+    this.requests = new Counter(
+      "codex_gateway_requests_total",
+      "HTTP requests by route, status and Codex model.",
+      ["route", "status", "model"]
+    );
+    this.requestDuration = new Histogram(
+      "codex_gateway_request_duration_seconds",
+      "HTTP request latency by route.",
+      ["route"],
+      DURATION_BUCKETS
+    );
+    this.queueWait = new Histogram(
+      "codex_gateway_queue_wait_seconds",
+      "Time turns waited for a free slot before starting.",
+      ["model"],
+      QUEUE_WAIT_BUCKETS
+    );
+    this.turns = new Counter("codex_gateway_turns_total", "Codex turns that ended, by model and status.", [
+      "model",
+      "status"
+    ]);
+    this.turnTimeouts = new Counter("codex_gateway_turn_timeouts_total", "Turns that hit the turn timeout.", ["model"]);
+    this.tokens = new Counter("codex_gateway_tokens_total", "Codex token usage by model and type.", ["model", "type"]);
+    this.appServerExits = new Counter(
+      "codex_gateway_app_server_exits_total",
+      "Codex app-server exits by process and exit code (or signal).",
+      ["process", "code"]
+    );
+    this.appServerRestarts = new Counter(
+      "codex_gateway_app_server_restarts_total",
+      "Codex app-server restarts after an exit.",
+      ["process"]
+    );
+    this.approvalDecisions = new Counter(
+      "codex_gateway_approval_decisions_total",
+      "Approval decisions by kind, outcome and who decided.",
+      ["kind", "decision", "decided_by"]
+    );
+
+    this.turnsRunning = new Gauge("codex_gateway_turns_running", "Turns running now, by model.", ["model"]);
+    this.turnsQueued = new Gauge("codex_gateway_turns_queued", "Turns waiting for a slot, by model.", ["model"]);
+    this.turnSlots = new Gauge("codex_gateway_turn_slots", "Turns that may run at once across all app-servers.");
+    this.oldestQueueWait = new Gauge(
+      "codex_gateway_queue_oldest_wait_seconds",
+      "How long the oldest queued turn has been waiting."
+    );
+  }
+
+  /** Adds the token counts of one `thread/tokenUsage/updated` notification. */
+  recordTokenUsage(model, usage) {
+    this.tokens.inc({ model, type: "input" }, usage?.inputTokens);
+    this.tokens.inc({ model, type: "cached_input" }, usage?.cachedInputTokens);
+    this.tokens.inc({ model, type: "output" }, usage?.outputTokens);
+    this.tokens.inc({ model, type: "reasoning_output" }, usage?.reasoningOutputTokens);
+  }
+
+  /** Prometheus text exposition; `queueStats` is `CodexPool#stats()`. */
+  render(queueStats) {
+    for (const gauge of [this.turnsRunning, this.turnsQueued, this.turnSlots, this.oldestQueueWait]) {
+      gauge.reset();
+    }
+    for (const [model, stats] of Object.entries(queueStats.byModel)) {
+      this.turnsRunning.set({ model }, stats.running);
+      this.turnsQueued.set({ model }, stats.queued);
+    }
+    this.turnSlots.set({}, queueStats.maxConcurrent);
+    this.oldestQueueWait.set({}, queueStats.oldestWaitMs / 1000);
+
+    return `${[
+      this.requests,
+      this.requestDuration,
+      this.queueWait,
+      this.turns,
+      this.turnTimeouts,
+      this.tokens,
+      this.appServerExits,
+      this.appServerRestarts,
+      this.approvalDecisions,
+      this.turnsRunning,
+      this.turnsQueued,
+      this.turnSlots,
+      this.oldestQueueWait
+    ]
+      .map((metric) => metric.render())
+      .join("\n")}\n`;
+  }
+}
@@ -0,0 +1,178 @@
+import fs from "node:fs";
+import { HttpError } from "./errors.js";
+
+export const SANDBOX_MODES = new Set(["read-only", "workspace-write", "danger-full-access", "seatbelt"]);
+const REASONING_EFFORTS = new Set(["none", "minimal", "low", "medium", "high", "xhigh"]);
+const UNKNOWN_MODEL_MODES = new Set(["fallback", "error"]);
+
+/**
+ * Built-in routes. A route without `model` uses the default Codex model;
+ * `aliases` are the ids `/v1/models` advertises for glob routes.
+ */
+export const DEFAULT_MODEL_ROUTES = [
+  { match: ["*gpt-5.3-codex*", "*gpt5.3-codex*", "gpt-5.3"], model: "gpt-5.3-codex", aliases: ["gpt-5.3-codex"] },
+  { match: ["*gpt-5.2*", "*gpt5.2*"], model: "gpt-5.2", aliases: ["gpt-5.2"] },
+  { match: "*opus*", model: "gpt-5.3-codex", aliases: ["claude-3-opus"] },
+  {
+    match: ["*sonnet*", "*haiku*"],
+    model: "gpt-5.2",
+    aliases: ["claude-3-7-sonnet-latest", "claude-3-5-haiku-latest"]
+  },
+  { match: ["codex", "codex-backend"] }
+];
+
+function normalizeModelId(value) {
+  if (typeof value !== "string") {
+    return "";
+  }
+
+  return value.trim().toLowerCase().replace(/[_\s]+/g, "-");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+}
+
+function isLiteral(pattern) {
+  return !/^\/.+\/[a-z]*$/.test(pattern) && !/[*?]/.test(pattern);
+}
+
+// `/.../flags` is a regular expression; anything else is a glob with `*` and `?`.
+function compilePattern(pattern) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]);
+  }
+
+  const source = [...normalizeModelId(pattern)]
+    .map((char) => (char === "*" ? ".*" : char === "?" ? "." : escapeRegExp(char)))
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+function isRecord(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function optionalString(route, key, label, allowed) {
+  const value = route[key];
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value !== "string" || !value.trim() || (allowed && !allowed.has(value.trim()))) {
+    const choices = allowed ? ` (one of ${[...allowed].join(", ")})` : "";
+    throw new Error(`${label}.${key} must be a non-empty string${choices}.`);
+  }
+  return value.trim();
+}
+
+function parseRoute(route, index) {
+  const label = `routes[${index}]`;
+  if (!isRecord(route)) {
+    throw new Error(`${label} must be an object.`);
+  }
+
+  const patterns = Array.isArray(route.match) ? route.match : [route.match];
+  if (patterns.length === 0 || patterns.some((pattern) => typeof pattern !== "string" || !pattern.trim())) {
+    throw new Error(`${label}.match must be a pattern or an array of patterns.`);
+  }
+
+  const aliases = route.aliases ?? [];
+  if (!Array.isArray(aliases) || aliases.some((alias) => typeof alias !== "string" || !alias.trim())) {
+    throw new Error(`${label}.aliases must be an array of model ids.`);
+  }
+
+  return {
+    match: patterns.map((pattern) => pattern.trim()),
+    regexes: patterns.map((pattern) => {
+      try {
+        return compilePattern(pattern.trim());
+      } catch (error) {
+        throw new Error(`${label}.match has an invalid pattern ${pattern}: ${error.message}`);
+      }
+    }),
+    model: optionalString(route, "model", label),
+    effort: optionalString(route, "effort", label, REASONING_EFFORTS),
+    sandbox: optionalString(route, "sandbox", label, SANDBOX_MODES),
+    aliases: aliases.map((alias) => alias.trim())
+  };
+}
+
+/**
+ * Validates a routing table. Accepts a bare array of routes or
+ * `{ routes, unknownModel: "fallback" | "error" }`.
+ */
+export function parseModelRoutes(document) {
+  const table = Array.isArray(document) ? { routes: document } : document;
+  if (!isRecord(table) || !Array.isArray(table.routes)) {
+    throw new Error("The model routes must be an array or an object with a routes array.");
+  }
+
+  const unknownModel = table.unknownModel ?? "fallback";
+  if (!UNKNOWN_MODEL_MODES.has(unknownModel)) {
+    throw new Error("unknownModel must be fallback or error.");
+  }
+
+  return { routes: table.routes.map(parseRoute), unknownModel };
+}
+
+export function loadModelRoutes(filePath) {
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read model routes ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return { ...parseModelRoutes(document), source: filePath };
+  } catch (error) {
+    throw new Error(`Invalid model routes ${filePath}: ${error.message}`);
+  }
+}
+
+export function defaultModelRoutes() {
+  return { ...parseModelRoutes(DEFAULT_MODEL_ROUTES), source: null };
+}
+
+/**
+ * Resolves a requested model id to `{ codexModel, effort, sandbox }`. A request
+ * without a model uses the default; an unmatched one falls back to it or fails
+ * with `not_found_error`, as the table's `unknownModel` says.
+ */
+export function resolveModelRoute(table, requestedModel, defaultCodexModel) {
+  const normalized = normalizeModelId(requestedModel);
+  const fallback = { codexModel: defaultCodexModel, effort: null, sandbox: null };
+  if (!normalized) {
+    return fallback;
+  }
+
+  const route = table.routes.find((candidate) => candidate.regexes.some((regex) => regex.test(normalized)));
+  if (route) {
+    return { codexModel: route.model ?? defaultCodexModel, effort: route.effort, sandbox: route.sandbox };
+  }
+
+  if (table.unknownModel === "error") {
+    throw new HttpError(404, `model: ${requestedModel}`, "not_found_error");
+  }
+  return fallback;
+}
+
+/** The model ids a table advertises: each route's aliases, else its literal patterns. */
+export function listRoutedModels(table, defaultCodexModel) {
+  const models = [];
+  const seen = new Set();
+  for (const route of table.routes) {
+    const ids = route.aliases.length > 0 ? route.aliases : route.match.filter(isLiteral);
+    for (const id of ids) {
+      if (seen.has(id)) {
+        continue;
+      }
+      seen.add(id);
+      const codexModel = route.model ?? defaultCodexModel;
+      models.push({ id, codexModel, effort: route.effort, sandbox: route.sandbox });
+    }
+  }
+  return models;
+}
@@ -0,0 +1,409 @@
+import { randomUUID } from "node:crypto";
+import {
+  parseMaxTokens,
+  parseRequestedModel,
+  parseStopSequences,
+  renderToolResult,
+  renderToolUse
+} from "./anthropic.js";
+import { HttpError } from "./errors.js";
+import { decodeImage, parseDataUrl } from "./images.js";
+import { defaultModelRoutes, resolveModelRoute } from "./model-routes.js";
+
+function isRecord(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function contentToText(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+
+  if (!Array.isArray(content)) {
+    return "";
+  }
+
+  return content
+    .map((part) => {
+      if (isRecord(part) && part.type === "text" && typeof part.text === "string") {
+        return part.text;
+      }
+      // Same placeholder as anthropic.js; the image itself is a separate turn input.
+      return isRecord(part) && part.type === "image_url" ? "[image]" : "";
+    })
+    .filter((text) => text.length > 0)
+    .join("\n");
+}
+
+function extractImages(content, messageIndex) {
+  if (!Array.isArray(content)) {
+    return [];
+  }
+
+  const images = [];
+  content.forEach((part, partIndex) => {
+    if (!isRecord(part) || part.type !== "image_url") {
+      return;
+    }
+
+    const label = `messages[${messageIndex}].content[${partIndex}]`;
+    const url = part.image_url?.url;
+    const dataUrl = parseDataUrl(url);
+    if (dataUrl) {
+      images.push(decodeImage(dataUrl.mediaType, dataUrl.data, label));
+    } else if (typeof url === "string" && /^https?:\/\//.test(url)) {
+      images.push({ url });
+    } else {
+      throw new HttpError(400, `${label}: image_url.url must be a base64 data URL or an http(s) URL.`);
+    }
+  });
+  return images;
+}
+
+// Codex dynamic tool responses carry `inputText` / `inputImage` content items.
+function toolResultContentItems(content) {
+  if (typeof content === "string") {
+    return content ? [{ type: "inputText", text: content }] : [];
+  }
+
+  if (!Array.isArray(content)) {
+    return [];
+  }
+
+  const items = [];
+  for (const part of content) {
+    if (!isRecord(part)) {
+      continue;
+    }
+
+    if (part.type === "text" && typeof part.text === "string") {
+      items.push({ type: "inputText", text: part.text });
+    } else if (part.type === "image_url" && typeof part.image_url?.url === "string") {
+      items.push({ type: "inputImage", imageUrl: part.image_url.url });
+    }
+  }
+  return items;
+}
+
+function parseToolArguments(rawArguments) {
+  if (typeof rawArguments !== "string" || !rawArguments.trim()) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(rawArguments);
+  } catch {
+    return rawArguments;
+  }
+}
+
+// Renders an assistant message the way anthropic.js renders the equivalent
+// tool_use blocks, so conversation fingerprints agree across both APIs.
+function renderAssistantText(text, toolCalls) {
+  return [text, ...toolCalls.map(renderToolUse)].filter((part) => part.length > 0).join("\n");
+}
+
+function normalizeToolCalls(rawToolCalls, index) {
+  if (rawToolCalls === undefined || rawToolCalls === null) {
+    return [];
+  }
+
+  if (!Array.isArray(rawToolCalls)) {
+    throw new HttpError(400, `messages[${index}].tool_calls must be an array.`);
+  }
+
+  return rawToolCalls.map((toolCall) => ({
+    id: toolCall?.id,
+    name: toolCall?.function?.name,
+    input: parseToolArguments(toolCall?.function?.arguments)
+  }));
+}
+
+function normalizeTools(rawTools) {
+  if (rawTools === undefined || rawTools === null) {
+    return [];
+  }
+
+  if (!Array.isArray(rawTools)) {
+    throw new HttpError(400, "tools must be an array.");
+  }
+
+  return rawTools.map((tool, index) => {
+    const definition = tool?.function;
+    if (!isRecord(tool) || tool.type !== "function" || !isRecord(definition)) {
+      throw new HttpError(400, `tools[${index}] must be a function tool.`);
+    }
+
+    if (typeof definition.name !== "string" || !definition.name.trim()) {
+      throw new HttpError(400, `tools[${index}].function.name is required.`);
+    }
+
+    return {
+      name: definition.name,
+      description: typeof definition.description === "string" ? definition.description : "",
+      inputSchema: isRecord(definition.parameters) ? definition.parameters : { type: "object", properties: {} }
+    };
+  });
+}
+
+/**
+ * Translates a Chat Completions request into the shape `validateAnthropicRequest`
+ * returns, so the rest of the gateway handles both APIs the same way.
+ * `system` / `developer` messages become the system prompt, and consecutive
+ * `tool` messages become one user message carrying tool results.
+ */
+export function validateOpenAIRequest(payload, options = {}) {
+  if (!isRecord(payload)) {
+    throw new HttpError(400, "Request body must be a JSON object.");
+  }
+
+  const forceStreamFalse = options.forceStreamFalse === true;
+  const defaultCodexModel =
+    typeof options.defaultCodexModel === "string" && options.defaultCodexModel.trim()
+      ? options.defaultCodexModel.trim()
+      : "gpt-5.2";
+
+  if (!Array.isArray(payload.messages) || payload.messages.length === 0) {
+    throw new HttpError(400, "messages must be a non-empty array.");
+  }
+
+  const systemParts = [];
+  const messages = [];
+  payload.messages.forEach((rawMessage, index) => {
+    if (!isRecord(rawMessage)) {
+      throw new HttpError(400, `messages[${index}] must be an object.`);
+    }
+
+    const role = typeof rawMessage.role === "string" ? rawMessage.role.trim() : "";
+    switch (role) {
+      case "system":
+      case "developer":
+        systemParts.push(contentToText(rawMessage.content));
+        return;
+      case "user":
+        messages.push({
+          role,
+          text: contentToText(rawMessage.content),
+          toolResults: [],
+          images: extractImages(rawMessage.content, index)
+        });
+        return;
+      case "assistant": {
+        const toolCalls = normalizeToolCalls(rawMessage.tool_calls, index);
+        messages.push({
+          role,
+          text: renderAssistantText(contentToText(rawMessage.content), toolCalls),
+          toolResults: [],
+          images: []
+        });
+        return;
+      }
+      case "tool": {
+        if (typeof rawMessage.tool_call_id !== "string" || !rawMessage.tool_call_id) {
+          throw new HttpError(400, `messages[${index}].tool_call_id is required.`);
+        }
+
+        const toolResult = {
+          toolUseId: rawMessage.tool_call_id,
+          isError: false,
+          content: toolResultContentItems(rawMessage.content)
+        };
+        const text = renderToolResult(toolResult.toolUseId, false, contentToText(rawMessage.content));
+        const previous = messages[messages.length - 1];
+        if (previous?.role === "user" && previous.toolResults.length > 0) {
+          previous.text += `\n${text}`;
+          previous.toolResults.push(toolResult);
+        } else {
+          messages.push({ role: "user", text, toolResults: [toolResult], images: [] });
+        }
+        return;
+      }
+      default:
+        throw new HttpError(400, `messages[${index}].role must be system, developer, user, assistant or tool.`);
+    }
+  });
+
+  const latestUserMessage = [...messages].reverse().find((message) => message.role === "user");
+  if (!latestUserMessage) {
+    throw new HttpError(400, "At least one user message is required.");
+  }
+
+  const requestedModel = parseRequestedModel(payload.model);
+  const { codexModel, effort, sandbox } = resolveModelRoute(
+    options.modelRoutes ?? defaultModelRoutes(),
+    requestedModel,
+    defaultCodexModel
+  );
+  const lastMessage = messages[messages.length - 1];
+
+  return {
+    requestedModel,
+    codexModel,
+    effort,
+    sandbox,
+    responseModel: requestedModel ?? "codex-backend",
+    maxTokens:
+      payload.max_completion_tokens !== undefined && payload.max_completion_tokens !== null
+        ? parseMaxTokens(payload.max_completion_tokens, "max_completion_tokens")
+        : parseMaxTokens(payload.max_tokens, "max_tokens"),
+    stopSequences: parseStopSequences(payload.stop, "stop"),
+    userId: typeof payload.user === "string" && payload.user ? payload.user : null,
+    stream: payload.stream === true && !forceStreamFalse,
+    includeUsage: payload.stream_options?.include_usage === true,
+    system: systemParts.filter((part) => part.length > 0).join("\n\n"),
+    messages,
+    latestUserMessage,
+    tools: normalizeTools(payload.tools),
+    toolResults: lastMessage.role === "user" ? lastMessage.toolResults : []
+  };
+}
+
+/** The assistant reply as the client will echo it back, for conversation fingerprints. */
+export function renderOpenAIAssistant(turnResult) {
+  return renderAssistantText(turnResult.text ?? "", turnResult.toolCalls ?? []);
+}
+
+function createCompletionId() {
+  return `chatcmpl-${randomUUID().replace(/-/g, "")}`;
+}
+
+function toOpenAIToolCall(toolCall) {
+  return {
+    id: toolCall.id,
+    type: "function",
+    function: {
+      name: toolCall.name,
+      arguments: JSON.stringify(toolCall.input ?? {})
+    }
+  };
+}
+
+function toOpenAIUsage(usage) {
+  const promptTokens = usage?.inputTokens ?? 0;
+  const completionTokens = usage?.outputTokens ?? 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+function finishReason(turnResult) {
+  if ((turnResult.toolCalls ?? []).length > 0) {
+    return "tool_calls";
+  }
+  return turnResult.stopReason === "max_tokens" ? "length" : "stop";
+}
+
+export function buildOpenAIChatCompletion(turnResult, model = "codex-backend") {
+  const toolCalls = (turnResult.toolCalls ?? []).map(toOpenAIToolCall);
+
+  return {
+    id: createCompletionId(),
+    object: "chat.completion",
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [
+      {
+        index: 0,
+        message: {
+          role: "assistant",
+          content: turnResult.text || (toolCalls.length > 0 ? null : ""),
+          ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+        },
+        finish_reason: finishReason(turnResult)
+      }
+    ],
+    usage: toOpenAIUsage(turnResult.usage)
+  };
+}
+
+export function buildOpenAIErrorResponse(type, message) {
+  return {
+    error: {
+      message,
+      type,
+      param: null,
+      code: null
+    }
+  };
+}
+
+/**
+ * Encodes one assistant message as Chat Completions chunks. `writeData(data)`
+ * receives each SSE `data:` payload, ending with `[DONE]`; `writeComment()`
+ * keeps idle connections open. Mirrors `AnthropicMessageStream`.
+ */
+export class OpenAIChatStream {
+  constructor(model, { writeData, writeComment, includeUsage = false }) {
+    this.id = createCompletionId();
+    this.created = Math.floor(Date.now() / 1000);
+    this.model = model;
+    this.writeData = writeData;
+    this.writeComment = writeComment;
+    this.includeUsage = includeUsage;
+    this.finished = false;
+  }
+
+  start() {
+    this.#writeChunk({ role: "assistant", content: "" });
+  }
+
+  ping() {
+    if (!this.finished) {
+      this.writeComment("ping");
+    }
+  }
+
+  textDelta(text) {
+    if (this.finished || !text) {
+      return;
+    }
+
+    this.#writeChunk({ content: text });
+  }
+
+  finish(turnResult) {
+    if (this.finished) {
+      return;
+    }
+
+    const toolCalls = turnResult.toolCalls ?? [];
+    if (toolCalls.length > 0) {
+      this.#writeChunk({ tool_calls: toolCalls.map((toolCall, index) => ({ index, ...toOpenAIToolCall(toolCall) })) });
+    }
+    this.#writeChunk({}, finishReason(turnResult));
+    this.finished = true;
+
+    if (this.includeUsage) {
+      this.writeData({ ...this.#chunkBase(), choices: [], usage: toOpenAIUsage(turnResult.usage) });
+    }
+    this.writeData("[DONE]");
+  }
+
+  fail(type, message) {
+    if (this.finished) {
+      return;
+    }
+
+    this.finished = true;
+    this.writeData(buildOpenAIErrorResponse(type, message));
+    this.writeData("[DONE]");
+  }
+
+  #chunkBase() {
+    return {
+      id: this.id,
+      object: "chat.completion.chunk",
+      created: this.created,
+      model: this.model
+    };
+  }
+
+  #writeChunk(delta, reason = null) {
+    this.writeData({
+      ...this.#chunkBase(),
+      choices: [{ index: 0, delta, finish_reason: reason }]
+    });
+  }
+}
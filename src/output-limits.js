@@ -0,0 +1,114 @@
+/**
+ * Enforces a response's `max_tokens` and stop sequences on streamed agent text.
+ *
+ * `push(delta)` returns the part of the delta that may go to the client now. Text
+ * that could be the start of a stop sequence is held back until the next delta
+ * shows whether it is; `flush()` releases it when the turn ends. Once a limit is
+ * hit, `stopReason` is `"max_tokens"` or `"stop_sequence"` (with `stopSequence`),
+ * the stop sequence itself is never emitted, and further deltas are dropped.
+ *
+ * `tokenizer` is a gpt-tokenizer encoding module (`encode`, `decode`). Tokens are
+ * only counted once the emitted text has more UTF-8 bytes than `maxTokens`, since
+ * no token is shorter than a byte.
+ */
+export class OutputLimiter {
+  constructor({ maxTokens = null, stopSequences = [], tokenizer = null }) {
+    this.maxTokens = tokenizer ? maxTokens : null;
+    this.stopSequences = stopSequences.filter((sequence) => sequence.length > 0);
+    this.tokenizer = tokenizer;
+
+    this.text = "";
+    this.pending = "";
+    this.stopReason = null;
+    this.stopSequence = null;
+    // Upper bound on the tokens in `text`, tightened by every exact count.
+    this.tokenBound = 0;
+  }
+
+  get active() {
+    return this.maxTokens !== null || this.stopSequences.length > 0;
+  }
+
+  push(delta) {
+    if (this.stopReason || !delta) {
+      return "";
+    }
+
+    const buffer = this.pending + delta;
+    const match = this.#findStopSequence(buffer);
+    if (match) {
+      this.pending = "";
+      const emitted = this.#accept(buffer.slice(0, match.index));
+      if (!this.stopReason) {
+        this.stopReason = "stop_sequence";
+        this.stopSequence = match.sequence;
+      }
+      return emitted;
+    }
+
+    const held = this.#heldBackLength(buffer);
+    this.pending = buffer.slice(buffer.length - held);
+    return this.#accept(buffer.slice(0, buffer.length - held));
+  }
+
+  /** Releases held-back text once no more deltas will come. */
+  flush() {
+    const pending = this.pending;
+    this.pending = "";
+    return this.stopReason ? "" : this.#accept(pending);
+  }
+
+  // Appends `text` as far as `maxTokens` allows; returns what was appended.
+  #accept(text) {
+    if (!text) {
+      return "";
+    }
+
+    const candidate = this.text + text;
+    this.tokenBound += Buffer.byteLength(text);
+    if (this.maxTokens === null || this.tokenBound <= this.maxTokens) {
+      this.text = candidate;
+      return text;
+    }
+
+    const tokens = this.tokenizer.encode(candidate, { disallowedSpecial: new Set() });
+    this.tokenBound = tokens.length;
+    if (tokens.length <= this.maxTokens) {
+      this.text = candidate;
+      return text;
+    }
+
+    // Token boundaries can shift at the cut; never take back text already sent.
+    const cut = this.tokenizer.decode(tokens.slice(0, this.maxTokens));
+    const emitted = cut.startsWith(this.text) ? cut.slice(this.text.length) : "";
+    this.text += emitted;
+    this.tokenBound = this.maxTokens;
+    this.stopReason = "max_tokens";
+    return emitted;
+  }
+
+  #findStopSequence(text) {
+    let best = null;
+    for (const sequence of this.stopSequences) {
+      const index = text.indexOf(sequence);
+      if (index !== -1 && (!best || index < best.index)) {
+        best = { index, sequence };
+      }
+    }
+    return best;
+  }
+
+  // Length of the longest suffix of `text` that some stop sequence starts with.
+  #heldBackLength(text) {
+    let longest = 0;
+    for (const sequence of this.stopSequences) {
+      for (let length = Math.min(sequence.length - 1, text.length); length > longest; length -= 1) {
+        if (text.endsWith(sequence.slice(0, length))) {
+          longest = length;
+          break;
+        }
+      }
+    }
+    return longest;
+  }
+}
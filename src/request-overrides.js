@@ -0,0 +1,79 @@
+import { applySandboxCeiling } from "./api-keys.js";
+import { HttpError } from "./errors.js";
+import { SANDBOX_MODES } from "./model-routes.js";
+
+// Codex approval policies, from asking least to asking most.
+const APPROVAL_POLICY_RANK = { never: 0, "on-failure": 1, "on-request": 2, untrusted: 3 };
+
+const SANDBOX_HEADER = "x-codex-sandbox";
+const APPROVAL_HEADER = "x-codex-approval-policy";
+
+/** The approval policy threads start with when a request does not ask for another. */
+export function defaultApprovalPolicy(config) {
+  // A policy file has to see every command that is not known to be safe.
+  if (config.approvalPolicy) {
+    return "untrusted";
+  }
+
+  return config.autoApprove ? "never" : "on-request";
+}
+
+// The header wins over `metadata`; both are optional.
+function readOverride(req, payload, header, field, allowed) {
+  const headerValue = req.headers[header];
+  const metadataValue = payload?.metadata?.[field];
+  const [source, raw] =
+    typeof headerValue === "string" && headerValue.trim() ? [header, headerValue] : [`metadata.${field}`, metadataValue];
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+
+  const value = typeof raw === "string" ? raw.trim().toLowerCase() : raw;
+  if (!allowed.includes(value)) {
+    throw new HttpError(400, `${source} must be one of ${allowed.join(", ")}.`);
+  }
+  return { source, value };
+}
+
+/**
+ * Applies a request's `x-codex-sandbox` / `x-codex-approval-policy` headers (or
+ * `metadata.codex_sandbox` / `metadata.codex_approval_policy`) to a validated
+ * request. A request may only tighten what it would get anyway: the sandbox its
+ * route, `CODEX_SANDBOX` and API key allow, and the configured approval policy.
+ * Asking for more fails with `permission_error`.
+ *
+ * Sets `validated.sandbox` and `validated.approvalPolicy` only when they differ
+ * from the defaults, so requests without overrides keep sharing threads.
+ */
+export function applyRequestOverrides(req, payload, validated, config) {
+  const sandbox = readOverride(req, payload, SANDBOX_HEADER, "codex_sandbox", [...SANDBOX_MODES]);
+  if (sandbox) {
+    const ceiling = validated.sandbox ?? config.sandboxMode;
+    if (applySandboxCeiling(sandbox.value, ceiling) !== sandbox.value) {
+      throw new HttpError(
+        403,
+        `${sandbox.source}: ${sandbox.value} is less restrictive than the allowed sandbox ${ceiling}.`,
+        "permission_error"
+      );
+    }
+    if (sandbox.value !== ceiling) {
+      validated.sandbox = sandbox.value;
+    }
+  }
+
+  validated.approvalPolicy = null;
+  const approval = readOverride(req, payload, APPROVAL_HEADER, "codex_approval_policy", Object.keys(APPROVAL_POLICY_RANK));
+  if (approval) {
+    const floor = defaultApprovalPolicy(config);
+    if (APPROVAL_POLICY_RANK[approval.value] < APPROVAL_POLICY_RANK[floor]) {
+      throw new HttpError(
+        403,
+        `${approval.source}: ${approval.value} asks for fewer approvals than the configured ${floor}.`,
+        "permission_error"
+      );
+    }
+    if (approval.value !== floor) {
+      validated.approvalPolicy = approval.value;
+    }
+  }
+}
@@ -0,0 +1,36 @@
+export function startEventStream(res, statusCode = 200) {
+  res.statusCode = statusCode;
+  res.setHeader("content-type", "text/event-stream; charset=utf-8");
+  res.setHeader("cache-control", "no-cache");
+  res.setHeader("connection", "keep-alive");
+  res.setHeader("x-accel-buffering", "no");
+  res.flushHeaders();
+}
+
+export function writeEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) {
+    return false;
+  }
+
+  let chunk = "";
+  if (event) {
+    chunk += `event: ${event}\n`;
+  }
+  chunk += `data: ${typeof data === "string" ? data : JSON.stringify(data)}\n\n`;
+  return res.write(chunk);
+}
+
+export function endEventStream(res) {
+  if (!res.writableEnded) {
+    res.end();
+  }
+}
+
+// SSE comment line; clients ignore it, but it keeps idle proxies from closing the stream.
+export function writeComment(res, text) {
+  if (res.writableEnded || res.destroyed) {
+    return false;
+  }
+
+  return res.write(`: ${text}\n\n`);
+}
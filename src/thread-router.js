@@ -0,0 +1,176 @@
+import { createHash } from "node:crypto";
+
+function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+/** Stable hash of normalized `{ role, text }` messages. */
+export function fingerprintMessages(messages) {
+  return sha256(JSON.stringify(messages.map((message) => [message.role, message.text.trim()])));
+}
+
+/**
+ * Hash of what a thread was started with; only threads with equal settings are
+ * reused. An approval policy override and a workspace only enter the hash when
+ * set, so keys of saved threads stay the same.
+ */
+export function fingerprintThreadSettings({ tools = [], sandbox = null, approvalPolicy = null, workspace = null }) {
+  if (workspace) {
+    return sha256(JSON.stringify([tools, sandbox, approvalPolicy, workspace]));
+  }
+  if (approvalPolicy) {
+    return sha256(JSON.stringify([tools, sandbox, approvalPolicy]));
+  }
+  return tools.length > 0 || sandbox ? sha256(JSON.stringify([tools, sandbox])) : "";
+}
+
+/**
+ * Maps Anthropic conversations onto Codex threads.
+ *
+ * Each entry remembers the fingerprint of the conversation as it stood after the
+ * last turn on its thread. A request whose history (up to its last assistant
+ * message) hashes to that fingerprint continues the thread and only sends the new
+ * user turn. Entries are evicted least-recently-used first, and after `idleTtlMs`.
+ */
+export class ThreadRouter {
+  constructor({ maxThreads, idleTtlMs, onEvict = () => {}, now = Date.now }) {
+    this.maxThreads = maxThreads;
+    this.idleTtlMs = idleTtlMs;
+    this.onEvict = onEvict;
+    this.now = now;
+    // Insertion order doubles as LRU order: entries are re-inserted on use.
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /** Returns the idle thread continuing this conversation, if any. */
+  find({ scope, fingerprint, settingsKey }) {
+    if (!fingerprint) {
+      return null;
+    }
+
+    for (const entry of this.entries.values()) {
+      if (
+        !entry.busy &&
+        entry.scope === scope &&
+        entry.settingsKey === settingsKey &&
+        entry.fingerprint === fingerprint
+      ) {
+        return entry;
+      }
+    }
+
+    return null;
+  }
+
+  /** Like `find()`, but marks the thread busy. */
+  acquire(match) {
+    this.evictExpired();
+
+    const entry = this.find(match);
+    if (entry) {
+      entry.busy = true;
+      this.#touch(entry);
+    }
+    return entry;
+  }
+
+  /** Marks a known thread busy again, e.g. while a suspended turn resumes. */
+  reacquire(threadId) {
+    const entry = this.entries.get(threadId);
+    if (entry) {
+      entry.busy = true;
+      this.#touch(entry);
+    }
+    return entry ?? null;
+  }
+
+  /** Registers a freshly started thread as busy. `settings` is whatever the caller needs to restart it. */
+  add({ threadId, scope, settingsKey, settings = null }) {
+    const entry = {
+      threadId,
+      scope,
+      settingsKey,
+      settings,
+      fingerprint: null,
+      busy: true,
+      createdAt: this.now(),
+      lastUsedAt: this.now()
+    };
+    this.entries.set(threadId, entry);
+    return entry;
+  }
+
+  /** Stores where the conversation stands after a turn and marks the thread idle. */
+  release(threadId, fingerprint) {
+    const entry = this.entries.get(threadId);
+    if (!entry) {
+      return;
+    }
+
+    entry.busy = false;
+    entry.fingerprint = fingerprint ?? null;
+    this.#touch(entry);
+    this.evictExpired();
+  }
+
+  /** Tracked threads, most recently used last. */
+  list() {
+    return [...this.entries.values()].map((entry) => ({
+      threadId: entry.threadId,
+      scope: entry.scope,
+      busy: entry.busy,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      lastUsedAt: new Date(entry.lastUsedAt).toISOString()
+    }));
+  }
+
+  get(threadId) {
+    return this.entries.get(threadId) ?? null;
+  }
+
+  delete(threadId) {
+    return this.entries.delete(threadId);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /** Drops idle entries past their TTL, then the least recently used beyond `maxThreads`. */
+  evictExpired() {
+    const evicted = [];
+    const cutoff = this.now() - this.idleTtlMs;
+
+    for (const entry of [...this.entries.values()]) {
+      if (!entry.busy && entry.lastUsedAt < cutoff) {
+        this.entries.delete(entry.threadId);
+        evicted.push(entry);
+      }
+    }
+
+    for (const entry of [...this.entries.values()]) {
+      if (this.entries.size <= this.maxThreads) {
+        break;
+      }
+      if (!entry.busy) {
+        this.entries.delete(entry.threadId);
+        evicted.push(entry);
+      }
+    }
+
+    for (const entry of evicted) {
+      this.onEvict(entry);
+    }
+    return evicted;
+  }
+
+  #touch(entry) {
+    entry.lastUsedAt = this.now();
+    this.entries.delete(entry.threadId);
+    this.entries.set(entry.threadId, entry);
+  }
+}
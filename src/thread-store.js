@@ -0,0 +1,169 @@
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+
+/**
+ * On-disk record of the Codex threads that hold conversations, so a restarted
+ * gateway or app-server can `thread/resume` them instead of starting over.
+ *
+ * Each thread keeps what `ThreadRouter` needs to route a conversation back to it
+ * (scope, settings key, fingerprint) plus what `thread/resume` needs (sandbox,
+ * approval policy, workspace, dynamic tools). Tool definitions are stored once
+ * per settings key. The file is re-read when it changes, so `codex-gateway
+ * threads forget` and a running gateway do not overwrite each other.
+ *
+ * Saves after a turn are written together at most once per `writeDelayMs`;
+ * `flush()` writes any that are still pending.
+ */
+export class ThreadStore {
+  constructor({ filePath, logger = console, writeDelayMs = 1_000 }) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.writeDelayMs = writeDelayMs;
+    this.threads = new Map();
+    this.toolSets = {};
+    this.loadedMtimeMs = null;
+    // Saves not written yet, re-applied when the file changed underneath them.
+    this.pendingThreads = new Map();
+    this.pendingToolSets = {};
+    this.writeTimer = null;
+  }
+
+  list() {
+    this.#reload();
+    return [...this.threads.values()];
+  }
+
+  get(threadId) {
+    this.#reload();
+    return this.threads.get(threadId) ?? null;
+  }
+
+  /** The dynamic tools a saved thread was started with. */
+  toolsFor(entry) {
+    return entry.settingsKey ? (this.toolSets[entry.settingsKey] ?? []) : [];
+  }
+
+  /** `thread` is `{ threadId, scope, settingsKey, fingerprint, sandbox, approvalPolicy, workspace, tools, process }`. */
+  save({ tools = [], ...thread }) {
+    this.#reload();
+    const previous = this.threads.get(thread.threadId);
+    const now = new Date().toISOString();
+    const entry = { ...thread, createdAt: previous?.createdAt ?? now, lastUsedAt: now };
+    this.threads.set(thread.threadId, entry);
+    this.pendingThreads.set(thread.threadId, entry);
+    if (thread.settingsKey && tools.length > 0) {
+      this.toolSets[thread.settingsKey] = tools;
+      this.pendingToolSets[thread.settingsKey] = tools;
+    }
+
+    if (!this.writeTimer) {
+      this.writeTimer = setTimeout(() => this.#write(), this.writeDelayMs);
+      this.writeTimer.unref?.();
+    }
+  }
+
+  /** Removes threads by id; returns how many were removed. */
+  forget(threadIds) {
+    this.#reload();
+    let removed = 0;
+    for (const threadId of threadIds) {
+      this.pendingThreads.delete(threadId);
+      removed += this.threads.delete(threadId) ? 1 : 0;
+    }
+    if (removed > 0) {
+      this.#write();
+    }
+    return removed;
+  }
+
+  /**
+   * Hands threads saved by app-server processes that no longer exist (say,
+   * after CODEX_PROCESSES changed) to the current ones, round-robin. Returns
+   * how many were moved.
+   */
+  reassign(processTags) {
+    this.#reload();
+    const current = new Set(processTags);
+    const orphans = [...this.threads.values()].filter((entry) => !current.has(entry.process));
+    orphans.forEach((entry, index) => {
+      const moved = { ...entry, process: processTags[index % processTags.length] };
+      this.threads.set(entry.threadId, moved);
+      if (this.pendingThreads.has(entry.threadId)) {
+        this.pendingThreads.set(entry.threadId, moved);
+      }
+    });
+    if (orphans.length > 0) {
+      this.#write();
+    }
+    return orphans.length;
+  }
+
+  /** Writes saves that are still waiting for the write delay. */
+  flush() {
+    if (this.writeTimer) {
+      this.#write();
+    }
+  }
+
+  #reload() {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        // Keep serving what is already in memory; the next call tries again.
+        this.logger.error(`[threads] cannot read ${this.filePath}: ${error.message}`);
+        return;
+      }
+      // Nothing on disk yet (or it was deleted): only unwritten saves are left.
+      this.threads = new Map(this.pendingThreads);
+      this.toolSets = { ...this.pendingToolSets };
+      this.loadedMtimeMs = null;
+      return;
+    }
+
+    if (mtimeMs === this.loadedMtimeMs) {
+      return;
+    }
+
+    try {
+      const document = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      this.threads = new Map((document.threads ?? []).map((entry) => [entry.threadId, entry]));
+      this.toolSets = document.toolSets ?? {};
+    } catch (error) {
+      // A damaged store only costs Codex-side context; start over rather than refuse to run.
+      this.logger.warn(`[threads] ignoring unreadable ${this.filePath}: ${error.message}`);
+      this.threads.clear();
+      this.toolSets = {};
+    }
+    this.loadedMtimeMs = mtimeMs;
+    for (const [threadId, entry] of this.pendingThreads) {
+      this.threads.set(threadId, entry);
+    }
+    Object.assign(this.toolSets, this.pendingToolSets);
+  }
+
+  #write() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    this.pendingThreads.clear();
+    this.pendingToolSets = {};
+
+    // Drop tool sets no saved thread refers to any more.
+    const usedKeys = new Set([...this.threads.values()].map((entry) => entry.settingsKey));
+    this.toolSets = Object.fromEntries(Object.entries(this.toolSets).filter(([key]) => usedKeys.has(key)));
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      const document = { threads: [...this.threads.values()], toolSets: this.toolSets };
+      fs.writeFileSync(tempPath, `${JSON.stringify(document, null, 2)}\n`, { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+      this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      // Like the audit log: persistence problems must not fail turns.
+      this.logger.error(`[threads] cannot write ${this.filePath}: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,140 @@
+import { buildTurnInput } from "./anthropic.js";
+import { parseDataUrl, readImageSize } from "./images.js";
+
+// Codex wraps each dynamic tool in a function definition; this covers the wrapper.
+const TOOL_OVERHEAD_TOKENS = 8;
+// OpenAI vision pricing: a base cost plus a cost per 512px tile after resizing.
+const IMAGE_BASE_TOKENS = 85;
+const IMAGE_TILE_TOKENS = 170;
+// Assumed when an image's size cannot be read (URLs, unknown formats).
+const DEFAULT_IMAGE_SIZE = { width: 1024, height: 1024 };
+const CALIBRATION_SAMPLES = 20;
+
+const encoders = new Map();
+
+/** The BPE encoding a Codex model uses. Everything from gpt-4o on is o200k_base. */
+export function encodingForModel(codexModel) {
+  return /^gpt-(?:3\.5|4)(?:-|$)/.test(codexModel ?? "") ? "cl100k_base" : "o200k_base";
+}
+
+function loadEncoder(encoding) {
+  if (!encoders.has(encoding)) {
+    // Encoder tables are large; load each one on first use.
+    encoders.set(encoding, import(`gpt-tokenizer/encoding/${encoding}`));
+  }
+  return encoders.get(encoding);
+}
+
+/** The gpt-tokenizer encoding module (`encode`, `decode`, `countTokens`) for a Codex model. */
+export function loadTokenizer(codexModel) {
+  return loadEncoder(encodingForModel(codexModel));
+}
+
+function base64ImageSize(data) {
+  if (typeof data !== "string" || !data) {
+    return null;
+  }
+
+  // Sizes sit near the start; 64 KiB of base64 covers JPEGs with large EXIF blocks too.
+  return readImageSize(Buffer.from(data.slice(0, 65_536), "base64"));
+}
+
+function imageTokens(size) {
+  const width = Math.max(1, size.width);
+  const height = Math.max(1, size.height);
+  // Fit within 2048x2048, then shrink until the short side is at most 768px.
+  const fit = Math.min(1, 2048 / Math.max(width, height));
+  const scale = fit * Math.min(1, 768 / (Math.min(width, height) * fit));
+  const tiles = Math.ceil((width * scale) / 512) * Math.ceil((height * scale) / 512);
+  return IMAGE_BASE_TOKENS + IMAGE_TILE_TOKENS * tiles;
+}
+
+// Finds Anthropic `image` blocks and OpenAI `image_url` parts, including inside tool results.
+function collectImageSizes(content, sizes) {
+  if (!Array.isArray(content)) {
+    return sizes;
+  }
+
+  for (const block of content) {
+    if (block?.type === "image") {
+      const data = block.source?.type === "base64" ? block.source.data : null;
+      sizes.push(base64ImageSize(data) ?? DEFAULT_IMAGE_SIZE);
+    } else if (block?.type === "image_url") {
+      sizes.push(base64ImageSize(parseDataUrl(block.image_url?.url)?.data) ?? DEFAULT_IMAGE_SIZE);
+    } else if (block?.type === "tool_result") {
+      collectImageSizes(block.content, sizes);
+    }
+  }
+  return sizes;
+}
+
+/**
+ * Counts input tokens with the resolved Codex model's BPE encoding.
+ *
+ * The count covers the turn input exactly as `buildTurnInput` frames it, the
+ * dynamic tool definitions and image blocks. With `calibrate`, `withOverhead()`
+ * adds the prompt overhead Codex itself contributes (base instructions, built-in
+ * tools), learned from `thread/tokenUsage/updated` on turns that started a new thread.
+ */
+export class TokenCounter {
+  constructor({ calibrate = false } = {}) {
+    this.calibrate = calibrate;
+    // codexModel -> recent (reported - counted) differences
+    this.overheadSamples = new Map();
+  }
+
+  /** `validated` is a validated request; `payload` is its raw body, scanned for images. */
+  async count(validated, payload) {
+    const { countTokens } = await loadEncoder(encodingForModel(validated.codexModel));
+    const encode = (text) => (text ? countTokens(text, { disallowedSpecial: new Set() }) : 0);
+
+    let total = encode(buildTurnInput(validated));
+    for (const tool of validated.tools) {
+      total +=
+        TOOL_OVERHEAD_TOKENS + encode(tool.name) + encode(tool.description) + encode(JSON.stringify(tool.inputSchema));
+    }
+    const blocks = (payload?.messages ?? []).flatMap((message) => (Array.isArray(message?.content) ? message.content : []));
+    for (const size of collectImageSizes(blocks, [])) {
+      total += imageTokens(size);
+    }
+
+    return total;
+  }
+
+  /** Tokens of plain text in the resolved Codex model's encoding. */
+  async countText(codexModel, text) {
+    const { countTokens } = await loadEncoder(encodingForModel(codexModel));
+    return text ? countTokens(text, { disallowedSpecial: new Set() }) : 0;
+  }
+
+  /** What to report for a `count()` result: with `calibrate`, plus Codex's learned overhead. */
+  withOverhead(codexModel, counted) {
+    return counted + (this.calibrate ? this.overhead(codexModel) : 0);
+  }
+
+  /**
+   * Records what Codex reported for a turn whose whole input was `counted`
+   * tokens. Only first turns of new threads qualify: later ones carry history.
+   */
+  observe(codexModel, counted, reportedInputTokens) {
+    if (!Number.isFinite(reportedInputTokens) || reportedInputTokens <= 0) {
+      return;
+    }
+
+    const samples = this.overheadSamples.get(codexModel) ?? [];
+    samples.push(reportedInputTokens - counted);
+    if (samples.length > CALIBRATION_SAMPLES) {
+      samples.shift();
+    }
+    this.overheadSamples.set(codexModel, samples);
+  }
+
+  /**
+   * Codex's own prompt overhead for a model. The smallest recent difference is
+   * used because tool calls within a turn only ever add input.
+   */
+  overhead(codexModel) {
+    const samples = this.overheadSamples.get(codexModel);
+    return samples && samples.length > 0 ? Math.max(0, Math.min(...samples)) : 0;
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Fair scheduler for Codex turns.
+ *
+ * Jobs wait in one lane per conversation scope and lanes are served round-robin,
+ * so one busy session cannot starve the others. A job starts when the global and
+ * per-model concurrency limits allow it and `pickSlot()` returns somewhere to run.
+ */
+export class TurnScheduler {
+  constructor({ maxConcurrent, modelConcurrency = {}, now = Date.now }) {
+    this.maxConcurrent = maxConcurrent;
+    this.modelConcurrency = modelConcurrency;
+    this.now = now;
+
+    // In serving order: a lane that just started a job moves to the back.
+    this.lanes = new Map();
+    this.running = 0;
+    this.runningByModel = new Map();
+    this.totalWaitMs = 0;
+    this.startedCount = 0;
+  }
+
+  /**
+   * Queues `execute(slot)` and resolves with its result.
+   * `job` is `{ model, lane, pickSlot, execute, signal }`; aborting `signal`
+   * removes a job that has not started yet.
+   */
+  run(job) {
+    return new Promise((resolve, reject) => {
+      if (job.signal?.aborted) {
+        reject(job.signal.reason);
+        return;
+      }
+
+      const entry = { ...job, resolve, reject, enqueuedAt: this.now(), onAbort: null };
+      const lane = this.lanes.get(job.lane) ?? [];
+      lane.push(entry);
+      this.lanes.set(job.lane, lane);
+
+      if (job.signal) {
+        entry.onAbort = () => {
+          this.#remove(entry);
+          reject(job.signal.reason);
+        };
+        job.signal.addEventListener("abort", entry.onAbort, { once: true });
+      }
+
+      this.#pump();
+    });
+  }
+
+  stats() {
+    const byModel = {};
+    const modelStats = (model) => {
+      byModel[model] ??= { running: 0, queued: 0, limit: this.#modelLimit(model) };
+      return byModel[model];
+    };
+
+    for (const [model, count] of this.runningByModel) {
+      modelStats(model).running = count;
+    }
+
+    let queued = 0;
+    let oldestEnqueuedAt = null;
+    for (const lane of this.lanes.values()) {
+      queued += lane.length;
+      for (const entry of lane) {
+        modelStats(entry.model).queued += 1;
+        oldestEnqueuedAt = Math.min(oldestEnqueuedAt ?? entry.enqueuedAt, entry.enqueuedAt);
+      }
+    }
+
+    return {
+      running: this.running,
+      queued,
+      maxConcurrent: this.maxConcurrent,
+      oldestWaitMs: oldestEnqueuedAt === null ? 0 : this.now() - oldestEnqueuedAt,
+      averageWaitMs: this.startedCount === 0 ? 0 : Math.round(this.totalWaitMs / this.startedCount),
+      byModel
+    };
+  }
+
+  /** Jobs still waiting to start, oldest first. */
+  queued() {
+    return [...this.lanes.values()]
+      .flat()
+      .sort((left, right) => left.enqueuedAt - right.enqueuedAt)
+      .map((entry) => ({
+        model: entry.model,
+        lane: entry.lane,
+        enqueuedAt: new Date(entry.enqueuedAt).toISOString(),
+        waitedMs: this.now() - entry.enqueuedAt
+      }));
+  }
+
+  /** Rejects every job that has not started yet with `error`; returns how many. */
+  drain(error) {
+    const entries = [...this.lanes.values()].flat();
+    this.lanes.clear();
+    for (const entry of entries) {
+      if (entry.onAbort) {
+        entry.signal.removeEventListener("abort", entry.onAbort);
+      }
+      entry.reject(error);
+    }
+    return entries.length;
+  }
+
+  #remove(entry) {
+    const lane = this.lanes.get(entry.lane);
+    const position = lane ? lane.indexOf(entry) : -1;
+    if (position === -1) {
+      return;
+    }
+
+    lane.splice(position, 1);
+    if (lane.length === 0) {
+      this.lanes.delete(entry.lane);
+    }
+  }
+
+  #modelLimit(model) {
+    return this.modelConcurrency[model] ?? Infinity;
+  }
+
+  #pump() {
+    let started = true;
+    while (started && this.running < this.maxConcurrent) {
+      started = false;
+      for (const [key, lane] of this.lanes) {
+        if (this.#startFromLane(lane)) {
+          this.lanes.delete(key);
+          if (lane.length > 0) {
+            this.lanes.set(key, lane);
+          }
+          started = true;
+          break;
+        }
+      }
+    }
+  }
+
+  #startFromLane(lane) {
+    for (let position = 0; position < lane.length; position += 1) {
+      const entry = lane[position];
+      if ((this.runningByModel.get(entry.model) ?? 0) >= this.#modelLimit(entry.model)) {
+        continue;
+      }
+
+      const slot = entry.pickSlot();
+      if (slot === null || slot === undefined) {
+        continue;
+      }
+
+      lane.splice(position, 1);
+      this.#start(entry, slot);
+      return true;
+    }
+
+    return false;
+  }
+
+  #start(entry, slot) {
+    if (entry.onAbort) {
+      entry.signal.removeEventListener("abort", entry.onAbort);
+    }
+
+    this.running += 1;
+    this.runningByModel.set(entry.model, (this.runningByModel.get(entry.model) ?? 0) + 1);
+    this.totalWaitMs += this.now() - entry.enqueuedAt;
+    this.startedCount += 1;
+
+    const finish = () => {
+      this.running -= 1;
+      const remaining = this.runningByModel.get(entry.model) - 1;
+      if (remaining > 0) {
+        this.runningByModel.set(entry.model, remaining);
+      } else {
+        this.runningByModel.delete(entry.model);
+      }
+      this.#pump();
+    };
+
+    Promise.resolve()
+      .then(() => entry.execute(slot))
+      .then(
+        (result) => {
+          finish();
+          entry.resolve(result);
+        },
+        (error) => {
+          finish();
+          entry.reject(error);
+        }
+      );
+  }
+}
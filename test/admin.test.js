@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { ApiKeyStore } from "../src/api-keys.js";
+import { ApprovalManager } from "../src/approvals.js";
+import { loadConfig } from "../src/config.js";
+import { createGatewayServer } from "../src/gateway-server.js";
+
+const silent = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe("admin API from a browser", () => {
+  let server;
+  let baseUrl;
+  let dir;
+  let drained;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "admin-"));
+    drained = 0;
+    const codexClient = { drain: () => ++drained };
+    const approvals = new ApprovalManager({ timeoutMs: 60_000, logger: silent });
+    const apiKeys = new ApiKeyStore({ filePath: path.join(dir, "api-keys.json") });
+    const config = { ...loadConfig({ stateDir: dir }), auth: "off" };
+    server = createGatewayServer({ config, codexClient, approvals, apiKeys, logger: silent });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const drain = (headers, body) => fetch(`${baseUrl}/admin/drain`, { method: "POST", headers, body });
+
+  it("rejects the requests a cross-site form or no-cors fetch can send", async () => {
+    for (const headers of [{}, { "content-type": "application/x-www-form-urlencoded" }, { "content-type": "text/plain" }]) {
+      const response = await drain(headers, "reason=csrf");
+      assert.equal(response.status, 403);
+      assert.equal((await response.json()).error.type, "permission_error");
+    }
+    assert.equal(drained, 0);
+  });
+
+  it("accepts JSON requests and requests with the admin header", async () => {
+    assert.equal((await drain({ "content-type": "application/json; charset=utf-8" }, "{}")).status, 200);
+    assert.equal((await drain({ "x-codex-admin": "1" })).status, 200);
+    assert.equal(drained, 2);
+  });
+
+  it("keeps reads open to plain requests", async () => {
+    const response = await fetch(`${baseUrl}/admin/approvals`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { data: [] });
+  });
+});
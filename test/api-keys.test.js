@@ -0,0 +1,37 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { ApiKeyStore } from "../src/api-keys.js";
+
+const request = (key) => ({ headers: { "x-api-key": key } });
+
+describe("ApiKeyStore#authenticate", () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "api-keys-"));
+    filePath = path.join(dir, "api-keys.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("skips records with a malformed hash", () => {
+    const store = new ApiKeyStore({ filePath });
+    const { key, record } = store.create({ label: "ci" });
+
+    const document = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const [stored] = document.keys;
+    document.keys.unshift({ ...stored, id: "key_broken", hash: "not-hex" }, { ...stored, id: "key_missing", hash: null });
+    fs.writeFileSync(filePath, JSON.stringify(document));
+    const later = new Date(Date.now() + 5_000);
+    fs.utimesSync(filePath, later, later);
+
+    assert.equal(store.authenticate(request(key)).id, record.id);
+    assert.throws(() => store.authenticate(request("cgw_wrong")), { type: "authentication_error" });
+  });
+});
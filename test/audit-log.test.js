@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { followAuditLog } from "../src/audit-log.js";
+
+const line = (id) => `${JSON.stringify({ type: "turn", id })}\n`;
+
+describe("followAuditLog", () => {
+  let dir;
+  let filePath;
+  let controller;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-log-"));
+    filePath = path.join(dir, "audit.jsonl");
+    controller = new AbortController();
+  });
+
+  afterEach(() => {
+    controller.abort();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("starts over when the file is replaced by a larger one", async () => {
+    fs.writeFileSync(filePath, line(1));
+    const seen = [];
+    followAuditLog(filePath, () => true, (entry) => seen.push(entry.id), {
+      fromOffset: fs.statSync(filePath).size,
+      signal: controller.signal
+    });
+
+    const rotated = `${filePath}.new`;
+    fs.writeFileSync(rotated, line(2) + line(3) + line(4));
+    fs.renameSync(rotated, filePath);
+    await sleep(700);
+    assert.deepEqual(seen, [2, 3, 4]);
+  });
+
+  it("keeps following after the file disappears", async () => {
+    fs.writeFileSync(filePath, "");
+    const seen = [];
+    followAuditLog(filePath, () => true, (entry) => seen.push(entry.id), { fromOffset: 0, signal: controller.signal });
+
+    fs.rmSync(filePath);
+    await sleep(600);
+    fs.writeFileSync(filePath, line(5));
+    await sleep(600);
+    assert.deepEqual(seen, [5]);
+  });
+});
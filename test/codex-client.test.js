@@ -0,0 +1,143 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import process from "node:process";
+import { setTimeout as sleep } from "node:timers/promises";
+import { fileURLToPath } from "node:url";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { ApprovalManager } from "../src/approvals.js";
+import { CodexAppServerClient } from "../src/codex-client.js";
+import { loadConfig } from "../src/config.js";
+import { GatewayMetrics } from "../src/metrics.js";
+import { OutputLimiter } from "../src/output-limits.js";
+
+const silent = { debug() {}, info() {}, warn() {}, error() {} };
+const fakeCodex = fileURLToPath(new URL("./fixtures/fake-codex", import.meta.url));
+
+describe("CodexAppServerClient thread/start probe", () => {
+  let dir;
+  let logFile;
+  let noThreadsFile;
+  let client;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "codex-client-"));
+    logFile = path.join(dir, "requests.log");
+    noThreadsFile = path.join(dir, "no-threads");
+    process.env.FAKE_CODEX_LOG = logFile;
+    process.env.FAKE_CODEX_NO_THREADS = noThreadsFile;
+  });
+
+  afterEach(async () => {
+    await client?.stop();
+    delete process.env.FAKE_CODEX_LOG;
+    delete process.env.FAKE_CODEX_NO_THREADS;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createClient = (options = {}) =>
+    new CodexAppServerClient(loadConfig({ codexPath: fakeCodex, workdir: dir, stateDir: dir }), silent, options);
+  const threadStarts = () => fs.readFileSync(logFile, "utf8").split("\n").filter((method) => method === "thread/start").length;
+
+  it("hands the probed thread to the first new conversation", async () => {
+    client = createClient();
+    await client.ensureReady();
+    assert.equal(client.notReadyReason(), null);
+    assert.equal(threadStarts(), 1);
+
+    const result = await client.runTurn("Hello", 5_000, "gpt-5.2");
+    assert.match(JSON.stringify(result), /Hi\./);
+    assert.equal(threadStarts(), 1);
+
+    await client.runTurn("Hello again", 5_000, "gpt-5.2", { conversation: { scope: "other" } });
+    assert.equal(threadStarts(), 2);
+  });
+
+  it("is not ready while threads cannot start, and recovers on a later probe", async () => {
+    fs.writeFileSync(noThreadsFile, "");
+    client = createClient({ threadStartProbeMs: 100 });
+    await client.ensureReady();
+    assert.match(client.notReadyReason(), /cannot start threads: not logged in/);
+
+    fs.rmSync(noThreadsFile);
+    await sleep(400);
+    assert.equal(client.notReadyReason(), null);
+  });
+});
+
+describe("CodexAppServerClient approval metrics", () => {
+  let dir;
+  let client;
+  let metrics;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "codex-client-"));
+    metrics = new GatewayMetrics();
+  });
+
+  afterEach(async () => {
+    await client?.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createClient = (overrides, options = {}) =>
+    new CodexAppServerClient(loadConfig({ codexPath: fakeCodex, workdir: dir, stateDir: dir, ...overrides }), silent, {
+      metrics,
+      ...options
+    });
+
+  it("counts approvals accepted without asking anyone", async () => {
+    client = createClient({ autoApprove: true });
+    await client.runTurn("run: ls", 5_000, "gpt-5.2");
+    assert.match(
+      metrics.approvalDecisions.render(),
+      /approval_decisions_total\{kind="command",decision="approved",decided_by="auto"\} 1/
+    );
+  });
+
+  it("counts decisions made through the approval manager by who made them", async () => {
+    const approvals = new ApprovalManager({ timeoutMs: 5_000, logger: silent });
+    approvals.onRequest((approval) => approvals.decide(approval.id, { approved: false, decidedBy: "admin:ci" }));
+    client = createClient({ autoApprove: false }, { approvals });
+    await client.runTurn("run: rm -rf build", 5_000, "gpt-5.2");
+    assert.match(
+      metrics.approvalDecisions.render(),
+      /approval_decisions_total\{kind="command",decision="denied",decided_by="admin"\} 1/
+    );
+  });
+});
+
+describe("CodexAppServerClient output limits", () => {
+  let dir;
+  let logFile;
+  let client;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "codex-client-"));
+    logFile = path.join(dir, "requests.log");
+    process.env.FAKE_CODEX_LOG = logFile;
+  });
+
+  afterEach(async () => {
+    await client?.stop();
+    delete process.env.FAKE_CODEX_LOG;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("answers at a stop sequence and interrupts the turn before the thread is reused", async () => {
+    client = new CodexAppServerClient(loadConfig({ codexPath: fakeCodex, workdir: dir, stateDir: dir }), silent);
+    const result = await client.runTurn("stream: one two STOP three four", 5_000, "gpt-5.2", {
+      limiter: new OutputLimiter({ stopSequences: ["STOP"] })
+    });
+    assert.equal(result.text, "one two ");
+    assert.equal(result.stopReason, "stop_sequence");
+    assert.equal(client.router.list()[0].busy, true, "busy until Codex has ended the turn");
+
+    for (let attempt = 0; attempt < 50 && client.router.list()[0].busy; attempt += 1) {
+      await sleep(20);
+    }
+    assert.equal(client.router.list()[0].busy, false);
+    assert.match(fs.readFileSync(logFile, "utf8"), /^turn\/interrupt$/m);
+  });
+});
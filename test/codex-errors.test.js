@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { classifyCodexError, classifyJsonRpcError, parseRetryAfterSeconds, timeoutError } from "../src/codex-errors.js";
+
+const connectionFailed = (httpStatusCode) => ({ httpConnectionFailed: { httpStatusCode } });
+
+describe("classifyCodexError", () => {
+  const cases = [
+    ["usage limit", { codexErrorInfo: "usageLimitExceeded" }, 429, "rate_limit_error"],
+    ["upstream 429", { codexErrorInfo: connectionFailed(429) }, 429, "rate_limit_error"],
+    ["rate limit message", { message: "Rate limit reached for requests" }, 429, "rate_limit_error"],
+    ["upstream 401", { codexErrorInfo: connectionFailed(401) }, 401, "authentication_error"],
+    ["upstream 403", { codexErrorInfo: { responseStreamConnectionFailed: { httpStatusCode: 403 } } }, 401, "authentication_error"],
+    ["unauthorized", { codexErrorInfo: "unauthorized" }, 401, "authentication_error"],
+    ["expired login message", { message: "Your access token has expired, log in again" }, 401, "authentication_error"],
+    ["bad request", { codexErrorInfo: "badRequest" }, 400, "invalid_request_error"],
+    ["upstream 400", { codexErrorInfo: connectionFailed(400) }, 400, "invalid_request_error"],
+    ["context window", { codexErrorInfo: "contextWindowExceeded" }, 400, "invalid_request_error"],
+    ["upstream 503", { codexErrorInfo: connectionFailed(503) }, 529, "overloaded_error"],
+    ["upstream 504", { codexErrorInfo: { responseStreamDisconnected: { httpStatusCode: 504 } } }, 529, "overloaded_error"],
+    ["disconnect without status", { codexErrorInfo: { responseStreamDisconnected: {} } }, 529, "overloaded_error"],
+    ["overloaded message", { message: "The service is temporarily unavailable" }, 529, "overloaded_error"],
+    ["internal server error", { codexErrorInfo: "internalServerError" }, 500, "api_error"],
+    ["anything else", { message: "Something odd happened" }, 502, "api_error"]
+  ];
+
+  for (const [name, error, statusCode, type] of cases) {
+    it(`maps ${name} to ${statusCode} ${type}`, () => {
+      const mapped = classifyCodexError({ message: "Codex said no", ...error });
+      assert.equal(mapped.statusCode, statusCode);
+      assert.equal(mapped.type, type);
+    });
+  }
+
+  it("prefixes context overflows so Claude Code compacts instead of retrying", () => {
+    const mapped = classifyCodexError({ message: "Input exceeds the context window", codexErrorInfo: "contextWindowExceeded" });
+    assert.match(mapped.message, /^prompt is too long: /);
+    assert.match(classifyCodexError({ message: "maximum context length is 272000 tokens" }).message, /^prompt is too long: /);
+  });
+
+  it("falls back to a generic message", () => {
+    assert.equal(classifyCodexError(null).message, "Codex turn failed.");
+    assert.equal(classifyCodexError({ message: "" }).statusCode, 502);
+  });
+
+  it("sets retry-after on rate limits, from the message when it says", () => {
+    assert.equal(classifyCodexError({ codexErrorInfo: "usageLimitExceeded", message: "Try again in 2 hours." }).retryAfterSeconds, 7_200);
+    assert.equal(classifyCodexError({ codexErrorInfo: "usageLimitExceeded", message: "Limit hit." }).retryAfterSeconds, 30);
+    assert.equal(classifyCodexError({ codexErrorInfo: "badRequest" }).retryAfterSeconds, null);
+  });
+
+  it("reads codexErrorInfo from JSON-RPC error data", () => {
+    const mapped = classifyJsonRpcError({ data: { codexErrorInfo: "unauthorized" } }, "thread/start failed");
+    assert.equal(mapped.statusCode, 401);
+    assert.equal(mapped.message, "thread/start failed");
+  });
+});
+
+describe("timeoutError", () => {
+  it("is a 504 timeout_error", () => {
+    const error = timeoutError("Codex turn timed out.");
+    assert.equal(error.statusCode, 504);
+    assert.equal(error.type, "timeout_error");
+  });
+});
+
+describe("parseRetryAfterSeconds", () => {
+  const cases = [
+    ["You've hit your usage limit. Try again in 2 hours 5 minutes.", 7_500],
+    ["Rate limited; retry after 30s", 30],
+    ["Limit resets in 1 day 3h", 97_200],
+    ["try again in 1.5 min", 90],
+    ["Please try again in 0.2 seconds.", 1],
+    ["Usage resets in 45 min; upgrade for more", 2_700],
+    ["You've hit your usage limit.", null],
+    ["Try again in a moment.", null],
+    ["", null],
+    [undefined, null]
+  ];
+
+  for (const [message, seconds] of cases) {
+    it(`reads ${seconds ?? "nothing"} from ${JSON.stringify(message)}`, () => {
+      assert.equal(parseRetryAfterSeconds(message), seconds);
+    });
+  }
+});
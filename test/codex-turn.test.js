@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { CodexTurn } from "../src/codex-turn.js";
+
+function createTurn(options = {}) {
+  const listeners = new Set();
+  const replies = [];
+  const turn = new CodexTurn({
+    threadId: "thr_1",
+    onNotification: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    replyToServerRequest: (id, result) => replies.push({ id, result }),
+    suspendTimeoutMs: 60_000,
+    onSuspendTimeout: () => {},
+    ...options
+  });
+  turn.setTurnId("turn_1");
+  const notify = (method, params) => {
+    for (const listener of [...listeners]) {
+      listener({ method, params: { threadId: "thr_1", turnId: "turn_1", ...params } });
+    }
+  };
+  return { turn, notify, replies };
+}
+
+describe("CodexTurn", () => {
+  it("hands an outcome that arrived while suspended to the next attach", async () => {
+    let disposed = 0;
+    const { turn, notify } = createTurn({ onDispose: () => (disposed += 1) });
+
+    const first = turn.attach({ timeoutMs: 1000 });
+    turn.addToolCall(7, { tool: "lookup", arguments: { q: "x" } });
+    const { toolCalls } = await first;
+    assert.equal(toolCalls.length, 1);
+    assert.equal(turn.isSuspended, true);
+
+    notify("item/agentMessage/delta", { itemId: "m1", delta: "Answer" });
+    notify("turn/completed", { turn: { id: "turn_1", status: "completed" } });
+    assert.equal(turn.isSuspended, true, "the outcome is still waiting to be picked up");
+    assert.equal(disposed, 1, "images are released once Codex is done");
+
+    turn.resolveToolCall(toolCalls[0].id, { content: [{ type: "inputText", text: "42" }] });
+    const result = await turn.attach({ timeoutMs: 1000 });
+    assert.equal(result.text, "Answer");
+    assert.equal(turn.isSuspended, false);
+
+    turn.dispose();
+    assert.equal(disposed, 1);
+  });
+
+  it("is no longer suspended once disposed", async () => {
+    const { turn, notify } = createTurn();
+    const first = turn.attach({ timeoutMs: 1000 });
+    turn.addToolCall(7, { tool: "lookup" });
+    await first;
+    notify("turn/completed", { turn: { id: "turn_1", status: "completed" } });
+
+    turn.dispose();
+    assert.equal(turn.isSuspended, false);
+  });
+});
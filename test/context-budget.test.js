@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { renderToolResult } from "../src/anthropic.js";
+import { fitTranscript } from "../src/context-budget.js";
+
+// About four characters per token, like English text.
+const countText = (text) => Math.ceil(text.length / 4);
+
+const message = (role, text) => ({ role, text, toolResults: [], images: [] });
+const toolResult = (toolUseId, body) => message("user", renderToolResult(toolUseId, false, body));
+
+function transcript(messages) {
+  const userMessages = messages.filter((entry) => entry.role === "user");
+  return { system: "Be helpful.", messages, latestUserMessage: userMessages.at(-1), codexModel: "gpt-5.2" };
+}
+
+// The opening request, then `turns` assistant/user exchanges of about 250 tokens each.
+function longConversation(turns, latest = message("user", "Now fix the failing test.")) {
+  const messages = [message("user", "Refactor the parser.")];
+  for (let turn = 1; turn <= turns; turn += 1) {
+    messages.push(message("assistant", `Step ${turn}: ${"x".repeat(500)}`));
+    messages.push(message("user", `Reply ${turn}: ${"y".repeat(500)}`));
+  }
+  messages.push(message("assistant", "Looking at the test now."));
+  messages.push(latest);
+  return transcript(messages);
+}
+
+const texts = (validated) => validated.messages.map((entry) => entry.text.slice(0, 16));
+
+describe("fitTranscript", () => {
+  it("leaves a transcript that fits alone", async () => {
+    const validated = longConversation(2);
+    const fitted = await fitTranscript(validated, { budget: 100_000, strategy: "drop-oldest", countText });
+    assert.equal(fitted.validated, validated);
+    assert.equal(fitted.report, null);
+  });
+
+  it("does nothing when the strategy is off", async () => {
+    const validated = longConversation(20);
+    const fitted = await fitTranscript(validated, { budget: 500, strategy: "off", countText });
+    assert.equal(fitted.validated, validated);
+  });
+
+  it("drops the oldest turns first and keeps the opening and latest messages", async () => {
+    const validated = longConversation(10);
+    const { validated: fitted, report } = await fitTranscript(validated, { budget: 1_500, strategy: "drop-oldest", countText });
+
+    assert.equal(fitted.messages[0].text, "Refactor the parser.");
+    assert.equal(fitted.messages[1].role, "note");
+    assert.match(fitted.messages[1].text, /^\[\d+ earlier messages were left out/);
+    assert.equal(fitted.messages.at(-1).text, "Now fix the failing test.");
+    assert.equal(fitted.latestUserMessage.text, "Now fix the failing test.");
+    // What is kept is the most recent stretch, starting at a user message.
+    assert.equal(fitted.messages[2].role, "user");
+    assert.deepEqual(texts(fitted).slice(-3), ["Reply 10: yyyyyy", "Looking at the t", "Now fix the fail"]);
+    assert.ok(report.dropped_messages > 0);
+    assert.ok(report.final_tokens <= 1_500);
+    assert.equal(report.original_tokens > report.final_tokens, true);
+  });
+
+  it("keeps the tool results of the latest message", async () => {
+    const latest = toolResult("toolu_latest", "z".repeat(800));
+    const { validated: fitted } = await fitTranscript(longConversation(10, latest), {
+      budget: 1_500,
+      strategy: "drop-oldest",
+      countText
+    });
+    assert.equal(fitted.messages.at(-1), latest);
+    assert.equal(fitted.latestUserMessage, latest);
+  });
+
+  it("truncates the oldest tool results first and only as many as needed", async () => {
+    const messages = [message("user", "Read the logs.")];
+    for (const id of ["toolu_1", "toolu_2", "toolu_3"]) {
+      messages.push(message("assistant", `Reading ${id}.`));
+      messages.push(toolResult(id, `${id} ${"log line\n".repeat(1_000)}`));
+    }
+    const { validated: fitted, report } = await fitTranscript(transcript(messages), {
+      budget: 6_500,
+      strategy: "truncate-tool-results",
+      countText
+    });
+
+    const [first, second, third] = fitted.messages.filter((entry) => entry.text.startsWith("[tool_result"));
+    assert.match(first.text, /characters of tool output truncated by codex-gateway/);
+    assert.match(second.text, /characters of tool output truncated by codex-gateway/);
+    assert.doesNotMatch(third.text, /truncated/);
+    assert.equal(report.truncated_tool_results, 2);
+    assert.equal(report.dropped_messages, 0);
+    assert.ok(report.final_tokens <= 6_500);
+  });
+
+  it("replaces older messages with a summary", async () => {
+    const prompts = [];
+    const summarize = async (prompt) => {
+      prompts.push(prompt);
+      return "The user wants the parser refactored.";
+    };
+    const { validated: fitted, report } = await fitTranscript(longConversation(60), {
+      budget: 14_000,
+      strategy: "summarize",
+      countText,
+      summarize
+    });
+
+    assert.equal(prompts.length, 1);
+    assert.match(prompts[0], /ASSISTANT:\nStep 1: x/);
+    assert.equal(fitted.messages[0].text, "Refactor the parser.");
+    assert.match(fitted.messages[1].text, /^Summary of \d+ earlier messages[^\n]*\nThe user wants the parser refactored\.$/);
+    assert.equal(fitted.messages.at(-1).text, "Now fix the failing test.");
+    assert.ok(report.summarized_messages > 0);
+    assert.equal(report.dropped_messages, 0);
+  });
+
+  it("drops older messages when the summary fails", async () => {
+    const { validated: fitted, report } = await fitTranscript(longConversation(10), {
+      budget: 1_500,
+      strategy: "summarize",
+      countText,
+      summarize: async () => {
+        throw new Error("Codex is overloaded.");
+      }
+    });
+    assert.equal(report.summary_error, "Codex is overloaded.");
+    assert.ok(report.dropped_messages > 0);
+    assert.equal(fitted.messages.at(-1).text, "Now fix the failing test.");
+  });
+
+  it("fails with prompt is too long when the latest message alone does not fit", async () => {
+    const latest = message("user", "w".repeat(4_000));
+    await assert.rejects(fitTranscript(longConversation(2, latest), { budget: 500, strategy: "drop-oldest", countText }), {
+      statusCode: 400,
+      message: /^prompt is too long: \d+ tokens > 500 maximum/
+    });
+  });
+});
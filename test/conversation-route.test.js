@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildConversationRoute, validateAnthropicRequest } from "../src/anthropic.js";
+
+function route(payload) {
+  return buildConversationRoute(validateAnthropicRequest(payload), "default");
+}
+
+describe("buildConversationRoute", () => {
+  const first = { role: "user", content: "Fix the bug." };
+  // Two agent messages in one turn: a JSON response carries the last, a stream delivers both.
+  const turnResult = { text: "Done.", streamedText: "Looking at it.\n\nDone.", toolCalls: [] };
+
+  it("resumes a streamed conversation from everything the client received", () => {
+    const after = route({ model: "claude-sonnet-4-5", max_tokens: 10, stream: true, messages: [first] });
+    const next = route({
+      model: "claude-sonnet-4-5",
+      max_tokens: 10,
+      stream: true,
+      messages: [first, { role: "assistant", content: "Looking at it.\n\nDone." }, { role: "user", content: "Thanks" }]
+    });
+    assert.equal(after.fingerprintAfter(turnResult), next.resumeFingerprint);
+  });
+
+  it("resumes a JSON conversation from the final message", () => {
+    const after = route({ model: "claude-sonnet-4-5", max_tokens: 10, messages: [first] });
+    const next = route({
+      model: "claude-sonnet-4-5",
+      max_tokens: 10,
+      messages: [first, { role: "assistant", content: "Done." }, { role: "user", content: "Thanks" }]
+    });
+    assert.equal(after.fingerprintAfter(turnResult), next.resumeFingerprint);
+  });
+});
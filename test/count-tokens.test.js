@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { ApiKeyStore } from "../src/api-keys.js";
+import { loadConfig } from "../src/config.js";
+import { createGatewayServer } from "../src/gateway-server.js";
+
+const silent = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe("POST /v1/messages/count_tokens", () => {
+  let server;
+  let baseUrl;
+  let dir;
+  let apiKey;
+  let opusOnlyKey;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "count-tokens-"));
+    const apiKeys = new ApiKeyStore({ filePath: path.join(dir, "api-keys.json") });
+    apiKey = apiKeys.create({ label: "any" }).key;
+    opusOnlyKey = apiKeys.create({ label: "opus", models: ["claude-opus-*"] }).key;
+    const config = { ...loadConfig({ unknownModel: "error" }), auth: "on" };
+    server = createGatewayServer({ config, codexClient: {}, approvals: null, apiKeys, logger: silent });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const countTokens = async (body, key = apiKey) => {
+    const response = await fetch(`${baseUrl}/v1/messages/count_tokens`, {
+      method: "POST",
+      headers: { "content-type": "application/json", "x-api-key": key },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it("counts models the routing table does not know", async () => {
+    const { status, body } = await countTokens({ model: "some-new-model", messages: [{ role: "user", content: "Hi" }] });
+    assert.equal(status, 200);
+    assert.ok(body.input_tokens > 0);
+  });
+
+  it("counts a transcript without a user message", async () => {
+    const { status, body } = await countTokens({
+      model: "claude-sonnet-4-5",
+      system: "Be brief.",
+      messages: [{ role: "assistant", content: "Hello there." }]
+    });
+    assert.equal(status, 200);
+    assert.ok(body.input_tokens > 0);
+  });
+
+  it("applies the key's model allowlist", async () => {
+    const { status, body } = await countTokens(
+      { model: "claude-sonnet-4-5", messages: [{ role: "user", content: "Hi" }] },
+      opusOnlyKey
+    );
+    assert.equal(status, 403);
+    assert.equal(body.error.type, "permission_error");
+  });
+});
@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createLogger, createRedactor } from "../src/logger.js";
+
+const env = {
+  OPENAI_API_KEY: "value-of-openai-api-key",
+  GITHUB_TOKEN: "value-of-github-token",
+  TOKEN_URL_SECRET: "value-of-token-url-secret",
+  DB_PASSWORD: "value-of-db-password",
+  AWS_SECRET_ACCESS_KEY: "value-of-aws-secret",
+  GOOGLE_APPLICATION_CREDENTIALS: "/etc/gcp/value-of-credentials.json",
+  KEYCHAIN_PATH: "/Users/me/Library/Keychains/login",
+  MONKEY_PATCH_DIR: "/opt/monkey-patches",
+  MAX_TOKENS_DEFAULT: "4096000000",
+  TOKENIZER_CACHE: "/var/cache/tokenizer",
+  PATH: "/usr/local/bin:/usr/bin:/bin"
+};
+
+describe("createRedactor", () => {
+  const { redactText, redactValue } = createRedactor(env);
+
+  for (const name of [
+    "OPENAI_API_KEY",
+    "GITHUB_TOKEN",
+    "TOKEN_URL_SECRET",
+    "DB_PASSWORD",
+    "AWS_SECRET_ACCESS_KEY",
+    "GOOGLE_APPLICATION_CREDENTIALS"
+  ]) {
+    it(`hides the value of ${name}`, () => {
+      assert.equal(redactText(`using ${env[name]} now`), "using [REDACTED] now");
+    });
+  }
+
+  for (const name of ["KEYCHAIN_PATH", "MONKEY_PATCH_DIR", "MAX_TOKENS_DEFAULT", "TOKENIZER_CACHE", "PATH"]) {
+    it(`leaves the value of ${name} alone`, () => {
+      assert.equal(redactText(`using ${env[name]} now`), `using ${env[name]} now`);
+    });
+  }
+
+  it("hides keys and credentials by their shape", () => {
+    assert.equal(redactText("key cgw_abcdef123456 sent"), "key [REDACTED] sent");
+    assert.equal(redactText("Authorization: Bearer abc.def.ghi-123"), "Authorization: Bearer [REDACTED]");
+    assert.equal(redactText('{"api_key": "hunter2hunter2"}'), '{"api_key": "[REDACTED]"}');
+  });
+
+  it("hides fields named like secrets but not token counts", () => {
+    assert.deepEqual(redactValue({ apiKey: "x", authorization: "y", inputTokens: 12, nested: { password: "z", token: "t" } }), {
+      apiKey: "[REDACTED]",
+      authorization: "[REDACTED]",
+      inputTokens: 12,
+      nested: { password: "[REDACTED]", token: "[REDACTED]" }
+    });
+  });
+});
+
+describe("createLogger", () => {
+  it("redacts messages and fields before writing them", () => {
+    const lines = [];
+    const logger = createLogger({
+      format: "json",
+      redactor: createRedactor(env),
+      write: (stream, line) => lines.push(JSON.parse(line))
+    });
+    logger.child({ requestId: "req_1" }).warn(`[gateway] upstream said ${env.GITHUB_TOKEN}`, { secret: "s" });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].msg, "upstream said [REDACTED]");
+    assert.equal(lines[0].component, "gateway");
+    assert.equal(lines[0].requestId, "req_1");
+    assert.equal(lines[0].secret, "[REDACTED]");
+  });
+});
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { defaultModelRoutes, parseModelRoutes, resolveModelRoute } from "../src/model-routes.js";
+
+const DEFAULT_MODEL = "gpt-5.2-default";
+
+const table = parseModelRoutes({
+  routes: [
+    { match: "claude-opus-4-1", model: "gpt-5.3-codex", effort: "xhigh", sandbox: "read-only" },
+    { match: ["claude-opus-*", "opus"], model: "gpt-5.3-codex", effort: "high" },
+    { match: "claude-?-haiku*", model: "gpt-5.2-mini", effort: "low" },
+    { match: "/^gpt-5\\.\\d+$/", model: "gpt-5.2" },
+    { match: "claude-sonnet-*", sandbox: "workspace-write" }
+  ]
+});
+
+describe("resolveModelRoute", () => {
+  const cases = [
+    ["an exact match before broader globs", "claude-opus-4-1", { codexModel: "gpt-5.3-codex", effort: "xhigh", sandbox: "read-only" }],
+    ["a prefix glob", "claude-opus-4-5-20251101", { codexModel: "gpt-5.3-codex", effort: "high", sandbox: null }],
+    ["the second pattern of a route", "opus", { codexModel: "gpt-5.3-codex", effort: "high", sandbox: null }],
+    ["a `?` glob", "claude-3-haiku-20240307", { codexModel: "gpt-5.2-mini", effort: "low", sandbox: null }],
+    ["a regular expression", "gpt-5.4", { codexModel: "gpt-5.2", effort: null, sandbox: null }],
+    ["a route without a model", "claude-sonnet-4-5", { codexModel: DEFAULT_MODEL, effort: null, sandbox: "workspace-write" }],
+    ["ids in another case or with underscores", " Claude_Opus_4_1 ", { codexModel: "gpt-5.3-codex", effort: "xhigh", sandbox: "read-only" }],
+    ["an unknown model", "mistral-large", { codexModel: DEFAULT_MODEL, effort: null, sandbox: null }],
+    ["a request without a model", undefined, { codexModel: DEFAULT_MODEL, effort: null, sandbox: null }],
+    ["an empty model", "  ", { codexModel: DEFAULT_MODEL, effort: null, sandbox: null }]
+  ];
+
+  for (const [name, requested, expected] of cases) {
+    it(`resolves ${name}`, () => {
+      assert.deepEqual(resolveModelRoute(table, requested, DEFAULT_MODEL), expected);
+    });
+  }
+
+  it("does not let a regular expression match part of the id", () => {
+    assert.equal(resolveModelRoute(table, "gpt-5.4-mini", DEFAULT_MODEL).codexModel, DEFAULT_MODEL);
+  });
+
+  it("rejects unknown models when the table says so", () => {
+    const strict = { ...table, unknownModel: "error" };
+    assert.throws(() => resolveModelRoute(strict, "mistral-large", DEFAULT_MODEL), {
+      statusCode: 404,
+      type: "not_found_error",
+      message: "model: mistral-large"
+    });
+    assert.equal(resolveModelRoute(strict, "claude-opus-4-5", DEFAULT_MODEL).codexModel, "gpt-5.3-codex");
+    assert.equal(resolveModelRoute(strict, undefined, DEFAULT_MODEL).codexModel, DEFAULT_MODEL);
+  });
+
+  it("routes Claude models with the built-in table", () => {
+    const builtIn = defaultModelRoutes();
+    assert.equal(resolveModelRoute(builtIn, "claude-opus-4-5", DEFAULT_MODEL).codexModel, "gpt-5.3-codex");
+    assert.equal(resolveModelRoute(builtIn, "claude-sonnet-4-5", DEFAULT_MODEL).codexModel, "gpt-5.2");
+    assert.equal(resolveModelRoute(builtIn, "claude-haiku-4-5", DEFAULT_MODEL).codexModel, "gpt-5.2");
+    assert.equal(resolveModelRoute(builtIn, "codex", DEFAULT_MODEL).codexModel, DEFAULT_MODEL);
+  });
+});
+
+describe("parseModelRoutes", () => {
+  const invalid = [
+    ["a route that is not an object", ["claude-*"], /routes\[0\] must be an object/],
+    ["a route without patterns", [{ match: [] }], /routes\[0\]\.match/],
+    ["an unknown effort", [{ match: "x", effort: "max" }], /routes\[0\]\.effort must be .*one of none/],
+    ["an unknown sandbox", [{ match: "x", sandbox: "none" }], /routes\[0\]\.sandbox/],
+    ["a broken regular expression", [{ match: "/(/" }], /routes\[0\]\.match has an invalid pattern/],
+    ["an unknown unknownModel", { routes: [], unknownModel: "ignore" }, /unknownModel must be fallback or error/]
+  ];
+
+  for (const [name, document, message] of invalid) {
+    it(`rejects ${name}`, () => {
+      assert.throws(() => parseModelRoutes(document), message);
+    });
+  }
+});
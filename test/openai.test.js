@@ -0,0 +1,173 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildOpenAIChatCompletion, OpenAIChatStream, validateOpenAIRequest } from "../src/openai.js";
+
+const toolCall = (id, name, args) => ({ id, type: "function", function: { name, arguments: JSON.stringify(args) } });
+
+describe("validateOpenAIRequest", () => {
+  it("merges consecutive tool messages into one user message", () => {
+    const validated = validateOpenAIRequest({
+      messages: [
+        { role: "user", content: "Check both files." },
+        { role: "assistant", content: null, tool_calls: [toolCall("call_1", "read", { path: "a" }), toolCall("call_2", "read", { path: "b" })] },
+        { role: "tool", tool_call_id: "call_1", content: "contents of a" },
+        { role: "tool", tool_call_id: "call_2", content: [{ type: "text", text: "contents of b" }] }
+      ]
+    });
+
+    assert.deepEqual(
+      validated.messages.map((message) => message.role),
+      ["user", "assistant", "user"]
+    );
+    const results = validated.messages[2];
+    assert.deepEqual(
+      results.toolResults.map((result) => result.toolUseId),
+      ["call_1", "call_2"]
+    );
+    assert.equal(
+      results.text,
+      "[tool_result tool_use_id=call_1]\ncontents of a\n[tool_result tool_use_id=call_2]\ncontents of b"
+    );
+    assert.equal(validated.latestUserMessage, results);
+    assert.equal(validated.toolResults, results.toolResults);
+  });
+
+  it("starts a new user message for tool results after a plain user message", () => {
+    const validated = validateOpenAIRequest({
+      messages: [
+        { role: "user", content: "Hi" },
+        { role: "tool", tool_call_id: "call_1", content: "x" }
+      ]
+    });
+    assert.equal(validated.messages.length, 2);
+    assert.equal(validated.messages[1].toolResults.length, 1);
+  });
+
+  it("makes system and developer messages the system prompt", () => {
+    const validated = validateOpenAIRequest({
+      messages: [
+        { role: "system", content: "You are terse." },
+        { role: "user", content: "Hi" },
+        { role: "developer", content: [{ type: "text", text: "Answer in English." }] },
+        { role: "system", content: "" }
+      ]
+    });
+    assert.equal(validated.system, "You are terse.\n\nAnswer in English.");
+    assert.deepEqual(
+      validated.messages.map((message) => message.role),
+      ["user"]
+    );
+  });
+
+  it("prefers max_completion_tokens over max_tokens", () => {
+    const messages = [{ role: "user", content: "Hi" }];
+    assert.equal(validateOpenAIRequest({ messages, max_tokens: 100, max_completion_tokens: 50 }).maxTokens, 50);
+    assert.equal(validateOpenAIRequest({ messages, max_tokens: 100, max_completion_tokens: null }).maxTokens, 100);
+    assert.equal(validateOpenAIRequest({ messages }).maxTokens, null);
+    assert.throws(() => validateOpenAIRequest({ messages, max_tokens: 100, max_completion_tokens: 0 }), {
+      statusCode: 400,
+      message: /max_completion_tokens/
+    });
+  });
+
+  it("rejects transcripts it cannot translate", () => {
+    assert.throws(() => validateOpenAIRequest({ messages: [{ role: "function", content: "x" }] }), /messages\[0\]\.role/);
+    assert.throws(() => validateOpenAIRequest({ messages: [{ role: "tool", content: "x" }] }), /tool_call_id is required/);
+    assert.throws(() => validateOpenAIRequest({ messages: [{ role: "system", content: "x" }] }), /user message is required/);
+  });
+});
+
+function recordStream(options = {}) {
+  const written = [];
+  const stream = new OpenAIChatStream("gpt-5.2", {
+    writeData: (data) => written.push(data),
+    writeComment: (comment) => written.push(`:${comment}`),
+    ...options
+  });
+  return { stream, written };
+}
+
+const usage = { inputTokens: 12, outputTokens: 3 };
+
+describe("OpenAIChatStream", () => {
+  it("sends the role, the text, the finish reason, the usage and [DONE], in that order", () => {
+    const { stream, written } = recordStream({ includeUsage: true });
+    stream.start();
+    stream.textDelta("Hel");
+    stream.ping();
+    stream.textDelta("lo");
+    stream.finish({ text: "Hello", toolCalls: [], usage });
+
+    const chunks = written.filter((data) => typeof data === "object");
+    assert.deepEqual(
+      chunks.map((chunk) => chunk.choices[0]?.delta ?? "usage"),
+      [{ role: "assistant", content: "" }, { content: "Hel" }, { content: "lo" }, {}, "usage"]
+    );
+    assert.deepEqual(
+      chunks.map((chunk) => chunk.choices[0]?.finish_reason ?? null),
+      [null, null, null, "stop", null]
+    );
+    assert.deepEqual(chunks.at(-1).choices, []);
+    assert.deepEqual(chunks.at(-1).usage, { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+    assert.equal(new Set(chunks.map((chunk) => chunk.id)).size, 1);
+    assert.equal(written[2], ":ping");
+    assert.equal(written.at(-1), "[DONE]");
+  });
+
+  it("leaves out the usage chunk unless asked", () => {
+    const { stream, written } = recordStream();
+    stream.start();
+    stream.finish({ text: "", toolCalls: [], usage });
+    assert.equal(written.length, 3);
+    assert.equal(written[1].choices[0].finish_reason, "stop");
+    assert.equal(written[2], "[DONE]");
+  });
+
+  it("sends tool calls before the finish reason", () => {
+    const { stream, written } = recordStream();
+    stream.start();
+    stream.finish({ text: "", toolCalls: [{ id: "call_1", name: "read", input: { path: "a" } }], usage });
+
+    assert.deepEqual(written[1].choices[0].delta.tool_calls, [
+      { index: 0, ...toolCall("call_1", "read", { path: "a" }) }
+    ]);
+    assert.equal(written[2].choices[0].finish_reason, "tool_calls");
+  });
+
+  it("writes nothing after it finished or failed", () => {
+    const { stream, written } = recordStream();
+    stream.start();
+    stream.fail("overloaded_error", "Codex is busy.");
+    stream.textDelta("late");
+    stream.finish({ text: "late", toolCalls: [] });
+    stream.ping();
+    assert.deepEqual(written.slice(1), [
+      { error: { message: "Codex is busy.", type: "overloaded_error", param: null, code: null } },
+      "[DONE]"
+    ]);
+  });
+});
+
+describe("finish_reason", () => {
+  const cases = [
+    ["an answer", { text: "Hi", toolCalls: [] }, "stop"],
+    ["a stop sequence", { text: "Hi", toolCalls: [], stopReason: "stop_sequence", stopSequence: "###" }, "stop"],
+    ["max_tokens", { text: "Hi", toolCalls: [], stopReason: "max_tokens" }, "length"],
+    ["tool calls", { text: "", toolCalls: [{ id: "call_1", name: "read", input: {} }] }, "tool_calls"]
+  ];
+
+  for (const [name, turnResult, reason] of cases) {
+    it(`is ${reason} for ${name}`, () => {
+      assert.equal(buildOpenAIChatCompletion(turnResult).choices[0].finish_reason, reason);
+      const { stream, written } = recordStream();
+      stream.finish(turnResult);
+      assert.equal(written.at(-2).choices[0].finish_reason, reason);
+    });
+  }
+
+  it("sends null content alongside tool calls", () => {
+    const completion = buildOpenAIChatCompletion({ text: "", toolCalls: [{ id: "call_1", name: "read", input: {} }] }, "gpt-x");
+    assert.equal(completion.choices[0].message.content, null);
+    assert.equal(completion.model, "gpt-x");
+  });
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { CodexTurn } from "../src/codex-turn.js";
+import { OutputLimiter } from "../src/output-limits.js";
+import { loadTokenizer } from "../src/token-counter.js";
+
+// Pushes each delta and returns what the client would have received, in order.
+function stream(limiter, deltas) {
+  const sent = deltas.map((delta) => limiter.push(delta));
+  sent.push(limiter.flush());
+  return sent;
+}
+
+describe("OutputLimiter", () => {
+  it("is inactive without a token limit or stop sequences", () => {
+    assert.equal(new OutputLimiter({ stopSequences: [""] }).active, false);
+    // max_tokens needs a tokenizer to count with.
+    assert.equal(new OutputLimiter({ maxTokens: 5 }).active, false);
+    assert.equal(new OutputLimiter({ stopSequences: ["END"] }).active, true);
+  });
+
+  it("stops at max_tokens without taking back text already sent", async () => {
+    const tokenizer = await loadTokenizer("gpt-5.2");
+    const limiter = new OutputLimiter({ maxTokens: 5, tokenizer });
+    const sent = stream(limiter, ["The quick ", "brown fox jumps over ", "the lazy dog."]);
+
+    const text = sent.join("");
+    assert.equal(tokenizer.encode(text).length, 5);
+    assert.ok("The quick brown fox jumps over the lazy dog.".startsWith(text));
+    assert.equal(sent[0], "The quick ");
+    assert.equal(limiter.stopReason, "max_tokens");
+    assert.equal(limiter.push("More text."), "");
+  });
+
+  it("lets a response that fits through unchanged", async () => {
+    const limiter = new OutputLimiter({ maxTokens: 100, stopSequences: ["###"], tokenizer: await loadTokenizer("gpt-5.2") });
+    assert.equal(stream(limiter, ["Hello, ", "world."]).join(""), "Hello, world.");
+    assert.equal(limiter.stopReason, null);
+  });
+
+  it("stops before a stop sequence inside one delta", () => {
+    const limiter = new OutputLimiter({ stopSequences: ["</answer>"] });
+    assert.deepEqual(stream(limiter, ["42</answer> and more", "ignored"]), ["42", "", ""]);
+    assert.equal(limiter.stopReason, "stop_sequence");
+    assert.equal(limiter.stopSequence, "</answer>");
+  });
+
+  it("stops at a stop sequence split across deltas", () => {
+    const limiter = new OutputLimiter({ stopSequences: ["\n\nHuman:"] });
+    assert.deepEqual(stream(limiter, ["Done.\n", "\nHum", "an: next"]), ["Done.", "", "", ""]);
+    assert.equal(limiter.stopSequence, "\n\nHuman:");
+  });
+
+  it("releases held-back text that turns out not to be a stop sequence", () => {
+    const limiter = new OutputLimiter({ stopSequences: ["END"] });
+    assert.deepEqual(stream(limiter, ["THE E", "ND", "ING IS NEAR E"]), ["THE ", "", "", ""]);
+    assert.equal(limiter.stopReason, "stop_sequence");
+
+    const other = new OutputLimiter({ stopSequences: ["END"] });
+    assert.deepEqual(stream(other, ["Say E", "xactly. E"]), ["Say ", "Exactly. ", "E"]);
+    assert.equal(other.stopReason, null);
+  });
+
+  it("stops at whichever stop sequence comes first", () => {
+    const limiter = new OutputLimiter({ stopSequences: ["STOP", "HALT"] });
+    assert.equal(limiter.push("a HALT b STOP"), "a ");
+    assert.equal(limiter.stopSequence, "HALT");
+  });
+
+  it("reports max_tokens when the limit falls before the stop sequence", async () => {
+    const limiter = new OutputLimiter({ maxTokens: 2, stopSequences: ["END"], tokenizer: await loadTokenizer("gpt-5.2") });
+    stream(limiter, ["one two three four END"]);
+    assert.equal(limiter.stopReason, "max_tokens");
+    assert.equal(limiter.stopSequence, null);
+  });
+});
+
+describe("CodexTurn with an output limit", () => {
+  it("ends the segment at the limit while Codex is still running", async () => {
+    const listeners = new Set();
+    const turn = new CodexTurn({
+      threadId: "thr_1",
+      onNotification: (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      },
+      replyToServerRequest: () => {},
+      suspendTimeoutMs: 60_000,
+      onSuspendTimeout: () => {}
+    });
+    turn.setTurnId("turn_1");
+    const deltas = [];
+    const pending = turn.attach({
+      timeoutMs: 1_000,
+      onDelta: (delta) => deltas.push(delta),
+      limiter: new OutputLimiter({ stopSequences: ["STOP"] })
+    });
+
+    for (const delta of ["Keep ", "going ST", "OP and on"]) {
+      for (const listener of [...listeners]) {
+        listener({ method: "item/agentMessage/delta", params: { threadId: "thr_1", turnId: "turn_1", itemId: "m1", delta } });
+      }
+    }
+    const result = await pending;
+
+    assert.equal(turn.stoppedAtLimit, true);
+    assert.equal(turn.status, "interrupted");
+    assert.equal(result.text, "Keep going ");
+    assert.equal(result.stopReason, "stop_sequence");
+    assert.deepEqual(deltas, ["Keep ", "going "]);
+  });
+});
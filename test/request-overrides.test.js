@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { applyRequestOverrides, defaultApprovalPolicy } from "../src/request-overrides.js";
+
+const config = { sandboxMode: "workspace-write", autoApprove: true, approvalPolicy: null };
+
+// `validated.sandbox` is what the route and API key already settled on, if anything.
+function apply({ headers = {}, metadata, sandbox = null, settings = config } = {}) {
+  const validated = { sandbox };
+  applyRequestOverrides({ headers }, metadata ? { metadata } : {}, validated, settings);
+  return validated;
+}
+
+describe("applyRequestOverrides", () => {
+  it("leaves requests without overrides on the defaults", () => {
+    assert.deepEqual(apply(), { sandbox: null, approvalPolicy: null });
+  });
+
+  const allowed = [
+    [
+      "a stricter sandbox header",
+      { headers: { "x-codex-sandbox": "read-only" } },
+      { sandbox: "read-only", approvalPolicy: null }
+    ],
+    ["a stricter sandbox in metadata", { metadata: { codex_sandbox: "read-only" } }, { sandbox: "read-only", approvalPolicy: null }],
+    ["the sandbox it has anyway", { headers: { "x-codex-sandbox": "workspace-write" } }, { sandbox: null, approvalPolicy: null }],
+    ["a header in another case", { headers: { "x-codex-sandbox": " Read-Only " } }, { sandbox: "read-only", approvalPolicy: null }],
+    [
+      "more approvals",
+      { headers: { "x-codex-approval-policy": "on-request" } },
+      { sandbox: null, approvalPolicy: "on-request" }
+    ],
+    ["the configured approvals", { metadata: { codex_approval_policy: "never" } }, { sandbox: null, approvalPolicy: null }],
+    [
+      "a header over metadata",
+      { headers: { "x-codex-sandbox": "read-only" }, metadata: { codex_sandbox: "danger-full-access" } },
+      { sandbox: "read-only", approvalPolicy: null }
+    ]
+  ];
+
+  for (const [name, request, expected] of allowed) {
+    it(`applies ${name}`, () => {
+      assert.deepEqual(apply(request), expected);
+    });
+  }
+
+  const escalations = [
+    [
+      "a sandbox above CODEX_SANDBOX",
+      { headers: { "x-codex-sandbox": "danger-full-access" } },
+      /x-codex-sandbox: danger-full-access is less restrictive than the allowed sandbox workspace-write/
+    ],
+    [
+      "a sandbox above the route's or key's ceiling",
+      { sandbox: "read-only", metadata: { codex_sandbox: "workspace-write" } },
+      /metadata\.codex_sandbox: workspace-write is less restrictive than the allowed sandbox read-only/
+    ],
+    [
+      "fewer approvals than configured",
+      { settings: { ...config, autoApprove: false }, headers: { "x-codex-approval-policy": "never" } },
+      /asks for fewer approvals than the configured on-request/
+    ],
+    [
+      "fewer approvals than a policy file needs",
+      { settings: { ...config, approvalPolicy: { rules: [] } }, metadata: { codex_approval_policy: "on-request" } },
+      /asks for fewer approvals than the configured untrusted/
+    ]
+  ];
+
+  for (const [name, request, message] of escalations) {
+    it(`rejects ${name}`, () => {
+      assert.throws(() => apply(request), { statusCode: 403, type: "permission_error", message });
+    });
+  }
+
+  it("rejects values Codex does not know", () => {
+    assert.throws(() => apply({ headers: { "x-codex-sandbox": "none" } }), {
+      statusCode: 400,
+      message: /^x-codex-sandbox must be one of read-only, workspace-write, danger-full-access, seatbelt\.$/
+    });
+    assert.throws(() => apply({ metadata: { codex_approval_policy: 3 } }), {
+      statusCode: 400,
+      message: /^metadata\.codex_approval_policy must be one of /
+    });
+  });
+});
+
+describe("defaultApprovalPolicy", () => {
+  it("follows AUTO_APPROVE unless a policy file is loaded", () => {
+    assert.equal(defaultApprovalPolicy(config), "never");
+    assert.equal(defaultApprovalPolicy({ ...config, autoApprove: false }), "on-request");
+    assert.equal(defaultApprovalPolicy({ ...config, approvalPolicy: { rules: [] } }), "untrusted");
+  });
+});
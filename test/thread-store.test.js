@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { ThreadStore } from "../src/thread-store.js";
+
+const silent = { info() {}, warn() {}, error() {} };
+
+function thread(threadId, processTag = "codex") {
+  return { threadId, scope: "default", settingsKey: "k", fingerprint: `fp_${threadId}`, process: processTag };
+}
+
+function readThreads(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8")).threads.map((entry) => entry.threadId);
+}
+
+describe("ThreadStore", () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "thread-store-"));
+    filePath = path.join(dir, "threads.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("writes saves together on flush instead of once per save", () => {
+    const store = new ThreadStore({ filePath, logger: silent, writeDelayMs: 60_000 });
+    store.save({ ...thread("thr_1"), tools: [{ name: "Read" }] });
+    store.save(thread("thr_2"));
+    assert.equal(fs.existsSync(filePath), false);
+    assert.deepEqual(
+      store.list().map((entry) => entry.threadId),
+      ["thr_1", "thr_2"]
+    );
+
+    store.flush();
+    assert.deepEqual(readThreads(filePath), ["thr_1", "thr_2"]);
+    assert.deepEqual(store.toolsFor(store.get("thr_1")), [{ name: "Read" }]);
+  });
+
+  it("keeps unwritten saves when another process rewrote the file", () => {
+    const store = new ThreadStore({ filePath, logger: silent, writeDelayMs: 60_000 });
+    store.save(thread("thr_1"));
+    store.flush();
+    store.save(thread("thr_2"));
+
+    const other = new ThreadStore({ filePath, logger: silent });
+    other.forget(["thr_1"]);
+    // Make sure the rewrite is seen as a change even on coarse mtime clocks.
+    const later = new Date(Date.now() + 5_000);
+    fs.utimesSync(filePath, later, later);
+
+    assert.deepEqual(
+      store.list().map((entry) => entry.threadId),
+      ["thr_2"]
+    );
+    store.flush();
+    assert.deepEqual(readThreads(filePath), ["thr_2"]);
+  });
+
+  it("moves threads of processes that no longer run onto the current ones", () => {
+    const store = new ThreadStore({ filePath, logger: silent });
+    store.save(thread("thr_1", "codex#1"));
+    store.save(thread("thr_2", "codex#2"));
+    store.save(thread("thr_3", "codex#3"));
+    store.flush();
+
+    assert.equal(store.reassign(["codex#1", "codex#2"]), 1);
+    assert.equal(store.get("thr_3").process, "codex#1");
+    assert.equal(store.reassign(["codex"]), 3);
+    assert.deepEqual(
+      store.list().map((entry) => entry.process),
+      ["codex", "codex", "codex"]
+    );
+  });
+
+  it("logs instead of throwing when the file cannot be read", () => {
+    const notADirectory = path.join(dir, "file");
+    fs.writeFileSync(notADirectory, "");
+    const errors = [];
+    const store = new ThreadStore({
+      filePath: path.join(notADirectory, "threads.json"),
+      logger: { ...silent, error: (message) => errors.push(message) }
+    });
+
+    store.save(thread("thr_1"));
+    assert.equal(store.get("thr_1").threadId, "thr_1");
+    assert.match(errors[0], /cannot read/);
+    store.flush();
+    assert.match(errors.at(-1), /cannot write/);
+  });
+});
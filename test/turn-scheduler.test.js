@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { describe, it } from "node:test";
+import { TurnScheduler } from "../src/turn-scheduler.js";
+
+// A job that runs until `finish()` is called, recording when it started.
+function job(started, { lane = "default", model = "gpt-5.2", name = lane, signal, pickSlot = () => "slot" } = {}) {
+  let finish;
+  const done = new Promise((resolve) => {
+    finish = resolve;
+  });
+  return {
+    finish: (value = name) => finish(value),
+    spec: {
+      lane,
+      model,
+      signal,
+      pickSlot,
+      execute: async () => {
+        started.push(name);
+        return done;
+      }
+    }
+  };
+}
+
+const settle = () => sleep(0);
+
+describe("TurnScheduler", () => {
+  it("serves lanes round-robin so one busy scope cannot starve the others", async () => {
+    const scheduler = new TurnScheduler({ maxConcurrent: 1 });
+    const started = [];
+    const blocker = job(started, { lane: "x", name: "blocker" });
+    scheduler.run(blocker.spec);
+    const queued = {};
+    const results = ["a1", "a2", "a3", "b1", "c1"].map((name) => {
+      queued[name] = job(started, { lane: name[0], name });
+      return scheduler.run(queued[name].spec);
+    });
+    await settle();
+    assert.deepEqual(started, ["blocker"]);
+
+    blocker.finish();
+    for (const name of ["a1", "b1", "c1", "a2", "a3"]) {
+      await settle();
+      queued[name].finish();
+    }
+    assert.deepEqual(await Promise.all(results), ["a1", "a2", "a3", "b1", "c1"]);
+    assert.deepEqual(started, ["blocker", "a1", "b1", "c1", "a2", "a3"]);
+  });
+
+  it("holds jobs past a model's cap while other models run", async () => {
+    const scheduler = new TurnScheduler({ maxConcurrent: 3, modelConcurrency: { "gpt-5.2": 1 } });
+    const started = [];
+    const capped = [job(started, { name: "capped1" }), job(started, { name: "capped2" })];
+    const other = job(started, { model: "gpt-5.2-mini", name: "other" });
+    const results = [...capped, other].map((entry) => scheduler.run(entry.spec));
+    await settle();
+
+    assert.deepEqual(started, ["capped1", "other"]);
+    assert.deepEqual(scheduler.stats().byModel["gpt-5.2"], { running: 1, queued: 1, limit: 1 });
+
+    capped[0].finish();
+    await settle();
+    await settle();
+    assert.deepEqual(started, ["capped1", "other", "capped2"]);
+    capped[1].finish();
+    other.finish();
+    await Promise.all(results);
+    assert.equal(scheduler.stats().running, 0);
+  });
+
+  it("waits while no slot is free and skips to jobs that can run", async () => {
+    const scheduler = new TurnScheduler({ maxConcurrent: 2 });
+    const started = [];
+    let slotFree = false;
+    const blocked = job(started, { lane: "a", name: "blocked", pickSlot: () => (slotFree ? "slot" : null) });
+    const runnable = job(started, { lane: "b", name: "runnable" });
+    scheduler.run(blocked.spec);
+    const result = scheduler.run(runnable.spec);
+    await settle();
+    assert.deepEqual(started, ["runnable"]);
+
+    slotFree = true;
+    runnable.finish();
+    await result;
+    await settle();
+    assert.deepEqual(started, ["runnable", "blocked"]);
+    blocked.finish();
+  });
+
+  it("removes a queued job when its signal aborts or times out", async () => {
+    const scheduler = new TurnScheduler({ maxConcurrent: 1 });
+    const started = [];
+    const running = job(started, { name: "running" });
+    scheduler.run(running.spec);
+
+    const controller = new AbortController();
+    const cancelled = scheduler.run(job(started, { name: "cancelled", signal: controller.signal }).spec);
+    const timeout = AbortSignal.timeout(20);
+    const timedOut = assert.rejects(scheduler.run(job(started, { name: "timed out", signal: timeout }).spec), {
+      name: "TimeoutError"
+    });
+    assert.equal(scheduler.stats().queued, 2);
+
+    controller.abort(new Error("client went away"));
+    await assert.rejects(cancelled, /client went away/);
+    // AbortSignal.timeout() does not keep the process alive on its own.
+    await sleep(50);
+    await timedOut;
+    assert.equal(scheduler.stats().queued, 0);
+
+    running.finish();
+    await settle();
+    assert.deepEqual(started, ["running"]);
+  });
+
+  it("rejects a job whose signal already aborted without queueing it", async () => {
+    const scheduler = new TurnScheduler({ maxConcurrent: 1 });
+    await assert.rejects(scheduler.run(job([], { signal: AbortSignal.abort(new Error("gone")) }).spec), /gone/);
+    assert.equal(scheduler.stats().queued, 0);
+  });
+
+  it("drains queued jobs but lets running ones finish", async () => {
+    const scheduler = new TurnScheduler({ maxConcurrent: 1 });
+    const started = [];
+    const running = job(started, { name: "running" });
+    const result = scheduler.run(running.spec);
+    const queued = [scheduler.run(job(started, { name: "q1" }).spec), scheduler.run(job(started, { name: "q2" }).spec)];
+
+    assert.equal(scheduler.drain(new Error("drained")), 2);
+    for (const pending of queued) {
+      await assert.rejects(pending, /drained/);
+    }
+    running.finish();
+    assert.equal(await result, "running");
+    assert.deepEqual(started, ["running"]);
+  });
+});